@@ -1,12 +1,19 @@
 // build.js — BSP Auto Bookmarklet Builder (clean final version)
 // Generates dist/index.html with modern UI and no BOM/Shebang issues.
 
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
+const vm = require("vm");
 
 const SRC = path.join(__dirname, "src");
+const LIB = path.join(SRC, "lib");
 const DIST = path.join(__dirname, "dist");
-const OUT = path.join(DIST, "index.html");
+// `node build.js --out <file>` writes the page elsewhere; the tests build into a temp dir.
+const OUT_ARG = process.argv.indexOf("--out");
+const OUT = OUT_ARG > -1 && process.argv[OUT_ARG + 1]
+  ? path.resolve(process.argv[OUT_ARG + 1])
+  : path.join(DIST, "index.html");
 
 // Helpers ---------------------------------------------------------------
 function ensureDir(dir) {
@@ -78,6 +85,10 @@ function readJsonFile(file) {
   }
 }
 
+function toBudget(value) {
+  return Number.isInteger(value) && value > 0 ? value : null;
+}
+
 function readMeta() {
   const metaFile = path.join(SRC, "_meta.json");
   const meta = readJsonFile(metaFile) || {};
@@ -85,9 +96,19 @@ function readMeta() {
     version: typeof meta.version === "string" ? meta.version.trim() : "",
     order: Array.isArray(meta.order) ? meta.order : [],
     items: typeof meta.items === "object" && meta.items !== null ? meta.items : {},
+    budget: toBudget(meta.budget),
+    updateUrl: typeof meta.updateUrl === "string" && meta.updateUrl.trim() ? meta.updateUrl.trim() : null,
   };
 }
 
+// Where the bookmarklets look for dist/versions.json: "updateUrl" in _meta.json, else the
+// Pages URL the workflow passes in as PAGES_URL. Without either the check stays off.
+function resolveManifestUrl(metaUrl) {
+  if (metaUrl) return metaUrl;
+  const pagesUrl = (process.env.PAGES_URL || "").trim();
+  return pagesUrl ? new URL("versions.json", pagesUrl.replace(/\/?$/, "/")).href : null;
+}
+
 function resolveVersion(metaVersion = "") {
   const pkg = readJsonFile(path.join(__dirname, "package.json"));
   if (pkg && typeof pkg.version === "string" && pkg.version.trim()) {
@@ -156,8 +177,892 @@ function normalizeBookmarkletSource(source, wrap = true) {
   return { code: cleaned, wrap: shouldWrap, wrapperType };
 }
 
-function toBookmarkletURL(source, wrap = true) {
-  const { code, wrap: shouldWrap, wrapperType } = normalizeBookmarkletSource(source, wrap);
+// Minify ----------------------------------------------------------------
+// Conservative, dependency-free minifier: drops comments and collapses
+// whitespace while keeping strings, template literals and regex literals
+// verbatim, and shortens local names. `"minify": false` in _meta.json keeps an
+// item's source readable for debugging.
+const REGEX_PRECEDING_KEYWORDS = new Set([
+  "return", "typeof", "instanceof", "in", "of", "new", "delete", "void",
+  "throw", "case", "do", "else", "yield", "await",
+]);
+const NEWLINE_SAFE_AFTER = new Set([")", "]", "}", "++", "--"]);
+const NEWLINE_SAFE_BEFORE = new Set([")", "]", "}", ",", ";", ".", "?.", ":", "?"]);
+const PUNCTUATORS = [
+  ">>>=", "...", "===", "!==", "**=", "<<=", ">>=", ">>>", "&&=", "||=", "??=",
+  "=>", "==", "!=", "<=", ">=", "&&", "||", "??", "?.", "++", "--", "+=", "-=",
+  "*=", "/=", "%=", "&=", "|=", "^=", "**", "<<", ">>",
+];
+
+function isWordChar(char) {
+  return Boolean(char) && (/[\w$\\]/.test(char) || char.charCodeAt(0) > 0x7f);
+}
+
+function tokenizeJs(source) {
+  const tokens = [];
+  const templateStack = [];
+  let i = 0;
+  let newlineBefore = false;
+
+  const push = (type, value) => {
+    tokens.push({ type, value, newlineBefore });
+    newlineBefore = false;
+  };
+
+  const lastSignificant = () => tokens[tokens.length - 1] || null;
+
+  const regexAllowed = () => {
+    const prev = lastSignificant();
+    if (!prev) return true;
+    if (prev.type === "word") return REGEX_PRECEDING_KEYWORDS.has(prev.value);
+    if (prev.type === "punct") return ![")", "]", "}"].includes(prev.value);
+    return false;
+  };
+
+  const readTemplateChunk = start => {
+    let j = start;
+    while (j < source.length) {
+      const char = source[j];
+      if (char === "\\") {
+        j += 2;
+        continue;
+      }
+      if (char === "`") return { end: j + 1, opensExpression: false };
+      if (char === "$" && source[j + 1] === "{") return { end: j + 2, opensExpression: true };
+      j++;
+    }
+    throw new Error("Unterminated template literal");
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+    const next = source[i + 1];
+
+    if (/\s/.test(char)) {
+      if (char === "\n" || char === "\u2028" || char === "\u2029") newlineBefore = true;
+      i++;
+      continue;
+    }
+
+    if (char === "/" && next === "/") {
+      while (i < source.length && source[i] !== "\n") i++;
+      continue;
+    }
+
+    if (char === "/" && next === "*") {
+      const end = source.indexOf("*/", i + 2);
+      if (end === -1) throw new Error("Unterminated block comment");
+      if (/[\n\u2028\u2029]/.test(source.slice(i, end))) newlineBefore = true;
+      i = end + 2;
+      continue;
+    }
+
+    if (char === "\"" || char === "'") {
+      let j = i + 1;
+      while (j < source.length && source[j] !== char) {
+        if (source[j] === "\\") j++;
+        if (source[j] === "\n") throw new Error("Unterminated string literal");
+        j++;
+      }
+      push("string", source.slice(i, j + 1));
+      i = j + 1;
+      continue;
+    }
+
+    if (char === "`" || (char === "}" && templateStack.length && templateStack[templateStack.length - 1] === 0)) {
+      if (char === "}") templateStack.pop();
+      const { end, opensExpression } = readTemplateChunk(i + 1);
+      if (opensExpression) templateStack.push(0);
+      push("template", source.slice(i, end));
+      i = end;
+      continue;
+    }
+
+    if (char === "/" && regexAllowed()) {
+      let j = i + 1;
+      let inClass = false;
+      while (j < source.length) {
+        const current = source[j];
+        if (current === "\\") {
+          j += 2;
+          continue;
+        }
+        if (current === "\n") throw new Error("Unterminated regular expression");
+        if (current === "[") inClass = true;
+        else if (current === "]") inClass = false;
+        else if (current === "/" && !inClass) break;
+        j++;
+      }
+      j++;
+      while (j < source.length && /[a-z]/i.test(source[j])) j++;
+      push("regex", source.slice(i, j));
+      i = j;
+      continue;
+    }
+
+    if (isWordChar(char) || (char === "." && /\d/.test(next || ""))) {
+      let j = i + 1;
+      while (j < source.length) {
+        const current = source[j];
+        if (isWordChar(current)) {
+          j++;
+        } else if (current === "." && /^[\d.]/.test(source.slice(i, j)) && !source.slice(i, j).includes(".")) {
+          j++;
+        } else if ((current === "+" || current === "-") && /^[\d.][\d.]*e$/i.test(source.slice(i, j))) {
+          j++;
+        } else {
+          break;
+        }
+      }
+      push("word", source.slice(i, j));
+      i = j;
+      continue;
+    }
+
+    const punct = PUNCTUATORS.find(p => source.startsWith(p, i)) || char;
+    if (templateStack.length) {
+      if (punct === "{" || punct === "${") templateStack[templateStack.length - 1]++;
+      else if (punct === "}") templateStack[templateStack.length - 1]--;
+    }
+    push("punct", punct);
+    i += punct.length;
+  }
+
+  if (templateStack.length) throw new Error("Unterminated template expression");
+  return tokens;
+}
+
+// encodeURI turns every " into %22 but keeps ' as is, so single quotes are cheaper.
+function preferSingleQuotes(literal) {
+  if (literal[0] !== "\"" || literal.includes("'")) return literal;
+  let body = "";
+  for (let i = 1; i < literal.length - 1; i++) {
+    if (literal[i] === "\\") {
+      body += literal[i + 1] === "\"" ? "\"" : literal[i] + literal[i + 1];
+      i++;
+    } else {
+      body += literal[i];
+    }
+  }
+  return `'${body}'`;
+}
+
+// Local names declared in the bookmarklet itself (const/let/var, functions,
+// parameters, catch bindings) are shortened consistently everywhere they occur.
+// Names that browsers also expose as globals are never touched, so a local
+// `status` cannot end up renaming a bare reference to window.status.
+const RESERVED_WORDS = new Set([
+  "await", "break", "case", "catch", "class", "const", "continue", "debugger", "default",
+  "delete", "do", "else", "enum", "export", "extends", "false", "finally", "for", "function",
+  "if", "implements", "import", "in", "instanceof", "interface", "let", "new", "null", "of",
+  "package", "private", "protected", "public", "return", "static", "super", "switch", "this",
+  "throw", "true", "try", "typeof", "undefined", "var", "void", "while", "with", "yield",
+  "async", "get", "set", "arguments", "eval", "NaN", "Infinity",
+]);
+const GLOBAL_NAMES = new Set([
+  "window", "self", "top", "parent", "frames", "opener", "globalThis", "document", "navigator",
+  "location", "history", "screen", "name", "status", "origin", "length", "event", "external",
+  "closed", "open", "close", "stop", "find", "focus", "blur", "print", "alert", "confirm",
+  "prompt", "postMessage", "scroll", "scrollTo", "scrollBy", "fetch", "crypto", "performance",
+  "localStorage", "sessionStorage", "indexedDB", "caches", "console", "setTimeout",
+  "clearTimeout", "setInterval", "clearInterval", "requestAnimationFrame", "queueMicrotask",
+  "structuredClone", "getComputedStyle", "matchMedia", "atob", "btoa", "escape", "unescape",
+  "encodeURI", "encodeURIComponent", "decodeURI", "decodeURIComponent", "parseInt",
+  "parseFloat", "isNaN", "isFinite", "JSON", "Math", "Intl", "Reflect", "Proxy", "Object",
+  "Array", "String", "Number", "Boolean", "Symbol", "BigInt", "Date", "RegExp", "Promise",
+  "Map", "Set", "WeakMap", "WeakSet", "Error", "TypeError", "RangeError", "SyntaxError",
+  "URL", "URLSearchParams", "TextEncoder", "TextDecoder", "Uint8Array", "ArrayBuffer",
+  "DataView", "Blob", "File", "FileReader", "FormData", "Headers", "Request", "Response",
+  "AbortController", "Event", "CustomEvent", "MouseEvent", "KeyboardEvent", "InputEvent",
+  "FocusEvent", "MutationObserver", "DOMParser", "Node", "NodeFilter", "Element",
+  "HTMLElement", "HTMLInputElement", "HTMLSelectElement", "HTMLTextAreaElement", "Image",
+  "CSS", "jQuery", "$", "CompressionStream", "DecompressionStream", "BroadcastChannel",
+  "require", "module", "exports", "process",
+]);
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+const SHORT_NAME_CHARS = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ_$";
+
+// Maps every opening bracket (including a template chunk ending in "${") to the token
+// that closes it, every closing one back, and each token to its innermost open bracket.
+function matchBrackets(tokens) {
+  const closing = new Map();
+  const opening = new Map();
+  const parent = [];
+  const stack = [];
+  tokens.forEach((token, index) => {
+    const closesTemplate = token.type === "template" && token.value[0] === "}";
+    if ((token.type === "punct" && [")", "]", "}"].includes(token.value)) || closesTemplate) {
+      const open = stack.pop();
+      closing.set(open, index);
+      opening.set(index, open);
+    }
+    parent[index] = stack.length ? stack[stack.length - 1] : -1;
+    if ((token.type === "punct" && ["(", "[", "{"].includes(token.value)) ||
+        (token.type === "template" && token.value.endsWith("${"))) {
+      stack.push(index);
+    }
+  });
+  return { closing, opening, parent };
+}
+
+// A brace opens a block after these tokens and an object literal (or pattern) otherwise.
+const BLOCK_PRECEDING = new Set([")", "=>", ";", "{", "}", "else", "try", "finally", "do"]);
+
+function isObjectBrace(tokens, index) {
+  const token = tokens[index];
+  if (!token || token.type !== "punct" || token.value !== "{") return false;
+  const prev = tokens[index - 1];
+  return Boolean(prev) && !BLOCK_PRECEDING.has(prev.value);
+}
+
+// "class {", "class Name {" or "class Name extends Base.Part {".
+function isClassBrace(tokens, index) {
+  for (let i = index - 1; i >= 0 && index - i <= 6; i--) {
+    if (tokens[i].value === "class") return true;
+    if (tokens[i].type !== "word" && tokens[i].value !== ".") return false;
+  }
+  return false;
+}
+
+function collectBindings(tokens, { closing, opening }) {
+  const names = new Set();
+  const value = index => (tokens[index] ? tokens[index].value : "");
+  const isWord = index => tokens[index] && tokens[index].type === "word";
+  // Index after the bracketed group opened at `index`; a template chunk that closes
+  // one expression and opens the next is skipped as a whole.
+  const skipGroup = index => {
+    let end = closing.get(index);
+    while (closing.has(end)) end = closing.get(end);
+    return end + 1;
+  };
+
+  const collectPattern = (start, end) => {
+    for (let i = start + 1; i < end; i++) {
+      if (!isWord(i)) continue;
+      if (["{", "[", ",", ":", "..."].includes(value(i - 1)) && [",", "}", "]", "="].includes(value(i + 1))) {
+        names.add(value(i));
+      }
+    }
+  };
+
+  const collectParams = (start, end) => {
+    for (let i = start + 1; i < end; i++) {
+      if (["{", "["].includes(value(i))) {
+        collectPattern(i, closing.get(i));
+        i = closing.get(i);
+      } else if (closing.has(i)) {
+        i = skipGroup(i) - 1;
+      } else if (isWord(i) && ["(", ",", "..."].includes(value(i - 1)) && [",", ")", "="].includes(value(i + 1))) {
+        names.add(value(i));
+      }
+    }
+  };
+
+  const collectDeclarators = start => {
+    let i = start;
+    while (i < tokens.length) {
+      if (isWord(i)) {
+        names.add(value(i));
+        i++;
+      } else if (["{", "["].includes(value(i))) {
+        collectPattern(i, closing.get(i));
+        i = closing.get(i) + 1;
+      } else {
+        return;
+      }
+      if (value(i) === "=") {
+        i++;
+        while (i < tokens.length && ![",", ";", ")", "]", "}"].includes(value(i))) {
+          i = closing.has(i) ? skipGroup(i) : i + 1;
+        }
+      }
+      if (value(i) !== ",") return;
+      i++;
+    }
+  };
+
+  tokens.forEach((token, i) => {
+    if (token.type === "word" && ["const", "let", "var"].includes(token.value)) {
+      collectDeclarators(i + 1);
+    } else if (token.type === "word" && token.value === "function") {
+      let j = i + 1;
+      if (value(j) === "*") j++;
+      if (isWord(j)) names.add(value(j++));
+      if (value(j) === "(") collectParams(j, closing.get(j));
+    } else if (token.type === "word" && token.value === "catch" && value(i + 1) === "(") {
+      collectParams(i + 1, closing.get(i + 1));
+    } else if (token.type === "punct" && token.value === "=>") {
+      if (isWord(i - 1) && ![".", "?."].includes(value(i - 2))) names.add(value(i - 1));
+      else if (value(i - 1) === ")") collectParams(opening.get(i - 1), i - 1);
+    }
+  });
+
+  return [...names].filter(name => IDENTIFIER_PATTERN.test(name) && !RESERVED_WORDS.has(name));
+}
+
+function* shortNames() {
+  for (let length = 1; ; length++) {
+    const total = SHORT_NAME_CHARS.length * 64 ** (length - 1);
+    for (let n = 0; n < total; n++) {
+      let name = SHORT_NAME_CHARS[n % SHORT_NAME_CHARS.length];
+      for (let rest = Math.floor(n / SHORT_NAME_CHARS.length), k = 1; k < length; k++) {
+        name += (SHORT_NAME_CHARS + "0123456789")[rest % 64];
+        rest = Math.floor(rest / 64);
+      }
+      yield name;
+    }
+  }
+}
+
+// Words in front of a method name: { get count() {…} } defines the property "count".
+const METHOD_PREFIXES = new Set(["get", "set", "async", "static", "*"]);
+
+// How a word token is used: "property" (after a dot or as an object key), "method"
+// (method, getter or setter name in an object literal or class body), "shorthand"
+// ({ name }) or "identifier".
+function wordRole(tokens, index, parent) {
+  const prev = tokens[index - 1];
+  const next = tokens[index + 1];
+  if (prev && (prev.value === "." || prev.value === "?.")) return "property";
+  const brace = parent[index];
+  if (next && next.value === "(") {
+    let start = index - 1;
+    while (start > brace && METHOD_PREFIXES.has(tokens[start].value)) start--;
+    const before = tokens[start] ? tokens[start].value : "";
+    if (isClassBrace(tokens, brace) && ["{", "}", ";"].includes(before)) return "method";
+    if (isObjectBrace(tokens, brace) && ["{", ","].includes(before)) return "method";
+  }
+  if (isObjectBrace(tokens, brace) && prev && ["{", ","].includes(prev.value)) {
+    if (next && next.value === ":") return "property";
+    if (next && [",", "}", "="].includes(next.value)) return "shorthand";
+  }
+  return "identifier";
+}
+
+function renameLocals(tokens) {
+  const brackets = matchBrackets(tokens);
+  const { parent } = brackets;
+  const bindings = new Set(collectBindings(tokens, brackets).filter(name => !GLOBAL_NAMES.has(name)));
+  const counts = new Map();
+  const taken = new Set(RESERVED_WORDS);
+  tokens.forEach((token, index) => {
+    if (token.type !== "word") return;
+    const role = wordRole(tokens, index, parent);
+    if (role === "property" || role === "method") return;
+    if (bindings.has(token.value)) counts.set(token.value, (counts.get(token.value) || 0) + 1);
+    else taken.add(token.value);
+  });
+
+  const renames = new Map();
+  const generator = shortNames();
+  const byFrequency = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+  for (const name of byFrequency) {
+    let short = generator.next().value;
+    while (taken.has(short)) short = generator.next().value;
+    renames.set(name, short);
+  }
+
+  return tokens.map((token, index) => {
+    if (token.type !== "word" || !renames.has(token.value)) return token;
+    const role = wordRole(tokens, index, parent);
+    if (role === "property" || role === "method") return token;
+    const short = renames.get(token.value);
+    return { ...token, value: role === "shorthand" ? `${token.value}:${short}` : short };
+  });
+}
+
+// A line break the source relies on for automatic semicolon insertion.
+function needsNewline(prev, token) {
+  return (
+    token.newlineBefore &&
+    !(prev.type === "punct" && !NEWLINE_SAFE_AFTER.has(prev.value)) &&
+    !(token.type === "punct" && NEWLINE_SAFE_BEFORE.has(token.value))
+  );
+}
+
+// Headers after which a ";" is the (empty) body and has to stay: if (x);
+const EMPTY_BODY_KEYWORDS = new Set(["if", "for", "while", "with"]);
+
+// Shorter spellings with the same behaviour: const becomes let, back-to-back let
+// declarations share one keyword (let a=1,b=2), "(x)=>" loses its parentheses,
+// true/false become !0/!1 and a ";" right before "}" goes unless it is an empty body.
+function compactTokens(tokens) {
+  const { opening, parent } = matchBrackets(tokens);
+  const value = index => (tokens[index] ? tokens[index].value : "");
+  const isWord = index => Boolean(tokens[index]) && tokens[index].type === "word";
+  const isDeclaration = index =>
+    isWord(index) && ["const", "let"].includes(value(index)) && [";", "{", "}", ""].includes(value(index - 1));
+  const dropped = new Set();
+  const replaced = new Map();
+  // Per bracket level: whether the let/const statement that is still open there can take
+  // the next declaration, i.e. nothing in it depends on a line break.
+  const openDeclarations = new Map();
+
+  tokens.forEach((token, i) => {
+    const level = parent[i];
+    if (i > 0 && needsNewline(tokens[i - 1], token) && openDeclarations.has(level)) {
+      openDeclarations.set(level, false);
+    }
+    if (isWord(i) && value(i) === "const" && ![".", "?."].includes(value(i - 1))) replaced.set(i, "let");
+    if (isDeclaration(i) && !dropped.has(i)) openDeclarations.set(level, true);
+
+    if (token.type === "punct" && token.value === ";") {
+      if (openDeclarations.get(level) && isDeclaration(i + 1)) {
+        replaced.set(i, ",");
+        dropped.add(i + 1);
+        return;
+      }
+      openDeclarations.delete(level);
+      const before = value(i - 1);
+      const emptyBody =
+        ["else", "do"].includes(before) ||
+        (before === ")" && EMPTY_BODY_KEYWORDS.has(value(opening.get(i - 1) - 1)));
+      if (value(i + 1) === "}" && !emptyBody) dropped.add(i);
+      return;
+    }
+
+    if (
+      token.type === "punct" && token.value === "," && ["}", "]", ")"].includes(value(i + 1)) &&
+      ![",", "(", "[", "{"].includes(value(i - 1))
+    ) {
+      dropped.add(i);
+      return;
+    }
+
+    if (
+      token.value === "(" && isWord(i + 1) && value(i + 2) === ")" && value(i + 3) === "=>" &&
+      !isWord(i - 1) && IDENTIFIER_PATTERN.test(value(i + 1))
+    ) {
+      dropped.add(i);
+      dropped.add(i + 2);
+    }
+
+    const isKey = value(i + 1) === ":" && ["{", ","].includes(value(i - 1));
+    if (
+      isWord(i) && ["true", "false"].includes(token.value) && !isKey &&
+      ![".", "?.", "**"].includes(value(i - 1)) && ![".", "?.", "[", "(", "**"].includes(value(i + 1))
+    ) {
+      replaced.set(i, token.value === "true" ? "!0" : "!1");
+    }
+  });
+
+  return applyEdits(tokens, dropped, replaced);
+}
+
+function applyEdits(tokens, dropped, replaced) {
+  const edited = [];
+  let carriedNewline = false;
+  tokens.forEach((token, i) => {
+    if (dropped.has(i)) {
+      carriedNewline = carriedNewline || token.newlineBefore;
+      return;
+    }
+    const next = replaced.has(i) ? { ...token, value: replaced.get(i) } : token;
+    edited.push(carriedNewline ? { ...next, newlineBefore: true } : next);
+    carriedNewline = false;
+  });
+  return edited;
+}
+
+// Statements that cannot stand unbraced, or would change meaning without the braces
+// (a nested if would take over a following else).
+const BRACED_STATEMENTS = new Set([
+  "let", "const", "var", "class", "function", "async", "if", "for", "while", "do", "try", "switch",
+]);
+const BRACELESS_KEYWORDS = new Set(["if", "for", "while"]);
+
+// Braces cost six characters once encoded. A block holding a single statement after
+// if, else, for or while loses them, and an arrow body that only returns a value
+// becomes that value.
+function unwrapBlocks(tokens) {
+  const { closing, opening, parent } = matchBrackets(tokens);
+  const value = index => (tokens[index] ? tokens[index].value : "");
+  const dropped = new Set();
+  const replaced = new Map();
+  const joined = new Set();
+
+  tokens.forEach((token, open) => {
+    if (token.type !== "punct" || token.value !== "{") return;
+    const close = closing.get(open);
+    const inner = [];
+    for (let i = open + 1; i < close; i++) {
+      if (parent[i] === open) inner.push(i);
+    }
+    const first = inner[0];
+    const single =
+      inner.length > 0 &&
+      inner.every(i => !(tokens[i].type === "punct" && [";", "{"].includes(tokens[i].value))) &&
+      inner.every(i => i === first || !needsNewline(tokens[i - 1], tokens[i])) &&
+      value(first + 1) !== ":";
+    if (!single) return;
+
+    const before = value(open - 1);
+    if (before === "=>") {
+      const returnsValue =
+        value(first) === "return" && inner.length > 1 && value(first + 1) !== "{" &&
+        inner.every(i => value(i) !== ",");
+      if (!returnsValue) return;
+      dropped.add(open).add(first).add(close);
+      return;
+    }
+
+    let keyword = before === ")" ? opening.get(open - 1) - 1 : open - 1;
+    if (value(keyword) === "await") keyword -= 1;
+    const statementBody =
+      (before === "else" || (before === ")" && BRACELESS_KEYWORDS.has(value(keyword)))) &&
+      ![".", "?."].includes(value(keyword - 1));
+    if (!statementBody || BRACED_STATEMENTS.has(value(first))) return;
+    // The statement has to follow the head, so a line break there never ends anything.
+    joined.add(first);
+    dropped.add(open);
+    if (close + 1 < tokens.length && value(close + 1) !== "}") replaced.set(close, ";");
+    else dropped.add(close);
+  });
+
+  const unbroken = tokens.map((token, i) => (joined.has(i) ? { ...token, newlineBefore: false } : token));
+  return applyEdits(unbroken, dropped, replaced);
+}
+
+// Globals that are always there and never replaced while a tool runs. Getters whose
+// value can change (location, localStorage) and functions that tests or pages swap
+// (fetch, setTimeout) stay out.
+const ALIASED_GLOBALS = new Set([
+  "document", "window", "navigator", "console", "Object", "Array", "Boolean", "Number", "String",
+  "Math", "JSON", "Promise", "Date", "RegExp", "Error", "Map", "Set", "Symbol", "parseInt",
+  "parseFloat", "encodeURIComponent", "decodeURIComponent", "Event", "MouseEvent", "KeyboardEvent",
+]);
+
+// Long property names, globals and string literals that occur often are read through
+// an alias declared once at the top: a.textContent becomes a[x] with x='textContent',
+// document becomes d. Only aliases that shorten the encoded URL are made; the renamer
+// gives them two characters at most and encodeURI turns the brackets into %5B and %5D.
+function aliasNames(tokens) {
+  const { parent, ...brackets } = matchBrackets(tokens);
+  const bound = new Set(collectBindings(tokens, { parent, ...brackets }));
+  const words = new Set(tokens.filter(token => token.type === "word").map(token => token.value));
+  const value = index => (tokens[index] ? tokens[index].value : "");
+  const encodedLength = literal => encodeURI(preferSingleQuotes(literal)).length;
+  const roles = tokens.map((token, index) => (token.type === "word" ? wordRole(tokens, index, parent) : null));
+  const kinds = tokens.map((token, index) => {
+    const role = roles[index];
+    if (role === "property" && [".", "?."].includes(value(index - 1))) return "property";
+    if (["identifier", "shorthand"].includes(role) && ALIASED_GLOBALS.has(token.value)) {
+      return bound.has(token.value) ? null : "global";
+    }
+    const isKey = value(index + 1) === ":" && ["{", ","].includes(value(index - 1));
+    if (token.type === "string" && !isKey) return "string";
+    return null;
+  });
+
+  const counts = new Map();
+  kinds.forEach((kind, index) => {
+    if (!kind) return;
+    const key = `${kind} ${tokens[index].value}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  const saving = {
+    property: (name, count) => count * (name.length - 7) - (name.length + 6),
+    global: (name, count) => count * (name.length - 2) - (name.length + 4),
+    string: (literal, count) => count * (encodedLength(literal) - 2) - (encodedLength(literal) + 4),
+  };
+  const aliases = new Map();
+  for (const [key, count] of counts) {
+    const [kind, name] = [key.slice(0, key.indexOf(" ")), key.slice(key.indexOf(" ") + 1)];
+    if (saving[kind](name, count) <= 0) continue;
+    let alias = `_${kind[0]}${aliases.size}`;
+    while (words.has(alias)) alias = `_${alias}`;
+    aliases.set(key, alias);
+  }
+  if (!aliases.size) return tokens;
+
+  const declaration = [{ type: "word", value: "const", newlineBefore: false }];
+  [...aliases].forEach(([key, alias], index) => {
+    const [kind, name] = [key.slice(0, key.indexOf(" ")), key.slice(key.indexOf(" ") + 1)];
+    const init = {
+      type: kind === "global" ? "word" : "string",
+      value: kind === "property" ? JSON.stringify(name) : name,
+    };
+    declaration.push(
+      { type: "word", value: alias, newlineBefore: false },
+      { type: "punct", value: "=", newlineBefore: false },
+      { ...init, newlineBefore: false },
+      { type: "punct", value: index === aliases.size - 1 ? ";" : ",", newlineBefore: false }
+    );
+  });
+
+  const aliasAt = index => kinds[index] && aliases.get(`${kinds[index]} ${tokens[index].value}`);
+  const aliased = [];
+  tokens.forEach((token, index) => {
+    const alias = aliasAt(index);
+    const accessor = token.type === "punct" && [".", "?."].includes(token.value);
+    if (accessor && kinds[index + 1] === "property" && aliasAt(index + 1)) {
+      // A chain continued on the next line never relied on the line break.
+      if (token.value === "?.") aliased.push(token);
+      aliased.push({ type: "punct", value: "[", newlineBefore: false });
+    } else if (!alias) {
+      aliased.push(token);
+    } else if (kinds[index] === "property") {
+      aliased.push(
+        { type: "word", value: alias, newlineBefore: false },
+        { type: "punct", value: "]", newlineBefore: false }
+      );
+    } else if (roles[index] === "shorthand") {
+      aliased.push(
+        token,
+        { type: "punct", value: ":", newlineBefore: false },
+        { type: "word", value: alias, newlineBefore: false }
+      );
+    } else {
+      aliased.push({ type: "word", value: alias, newlineBefore: token.newlineBefore });
+    }
+  });
+  return [...declaration, ...aliased];
+}
+
+// Aliases are declared at the top of the code, so only code that build.js wraps in a
+// function gets them.
+function minifyJs(source, { alias = true } = {}) {
+  const tokens = tokenizeJs(source);
+  const shortened = compactTokens(renameLocals(alias ? aliasNames(tokens) : tokens));
+  return printTokens(unwrapBlocks(shortened));
+}
+
+function printTokens(tokens) {
+  let out = "";
+  let prev = null;
+
+  for (const token of tokens) {
+    if (prev) {
+      const last = out[out.length - 1];
+      const first = token.value[0];
+      if (needsNewline(prev, token)) {
+        out += "\n";
+      } else if (
+        (isWordChar(last) && isWordChar(first)) ||
+        ((last === "+" || last === "-") && last === first) ||
+        (last === "/" && first === "/")
+      ) {
+        out += " ";
+      }
+    }
+    out += token.type === "string" ? preferSingleQuotes(token.value) : token.value;
+    prev = token;
+  }
+
+  return out;
+}
+
+// Shared library ---------------------------------------------------------
+// Every top-level `const`/`let`/`function` declaration in src/lib/*.js is a
+// helper. Helpers are inlined into a bookmarklet only when it references
+// them (directly or through another helper), so each tool stays small.
+const DECLARATION_PATTERN = /^(?:const|let|(?:async\s+)?function\*?)\s+([A-Za-z_$][\w$]*)/;
+
+// Names a piece of code mentions and declares, read from the minifier's tokens so that
+// words in strings and comments do not count. A word after "." or "?." is a property.
+const DECLARING_KEYWORDS = new Set(["const", "let", "var", "function", "class"]);
+const codeNamesCache = new Map();
+
+function codeNames(code) {
+  let names = codeNamesCache.get(code);
+  if (names) return names;
+  names = { referenced: new Set(), declared: new Set() };
+  const tokens = tokenizeJs(code);
+  tokens.forEach((token, i) => {
+    if (token.type !== "word") return;
+    const prev = tokens[i - 1];
+    if (prev && (prev.value === "." || prev.value === "?.")) return;
+    names.referenced.add(token.value);
+    const keyword = prev && prev.value === "*" ? tokens[i - 2] : prev;
+    if (keyword && keyword.type === "word" && DECLARING_KEYWORDS.has(keyword.value)) {
+      names.declared.add(token.value);
+    }
+  });
+  codeNamesCache.set(code, names);
+  return names;
+}
+
+function referencesIdentifier(code, name) {
+  return codeNames(code).referenced.has(name);
+}
+
+function declaresIdentifier(code, name) {
+  return codeNames(code).declared.has(name);
+}
+
+function parseLibSource(file, source) {
+  const lines = source.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").split("\n");
+  const declarations = [];
+  let current = null;
+
+  const finish = () => {
+    if (!current) return;
+    while (current.lines.length && !current.lines[current.lines.length - 1].trim()) {
+      current.lines.pop();
+    }
+    declarations.push({ name: current.name, file, code: current.lines.join("\n") });
+    current = null;
+  };
+
+  for (const line of lines) {
+    const match = line.match(DECLARATION_PATTERN);
+    if (match) {
+      finish();
+      current = { name: match[1], lines: [line] };
+      continue;
+    }
+    if (current && (line.trim() === "" || /^\s/.test(line) || /^[)}\]]/.test(line))) {
+      current.lines.push(line);
+      continue;
+    }
+    finish();
+  }
+  finish();
+  return declarations;
+}
+
+function loadLibrary(dir) {
+  const library = new Map();
+  for (const file of listJs(dir).sort()) {
+    const source = fs.readFileSync(path.join(dir, file), "utf8");
+    for (const declaration of parseLibSource(file, source)) {
+      const existing = library.get(declaration.name);
+      if (existing) {
+        throw new Error(
+          `Duplicate library helper "${declaration.name}" in lib/${existing.file} and lib/${file}`
+        );
+      }
+      library.set(declaration.name, declaration);
+    }
+  }
+  for (const declaration of library.values()) {
+    declaration.deps = [...library.keys()].filter(
+      name => name !== declaration.name && referencesIdentifier(declaration.code, name)
+    );
+  }
+  return library;
+}
+
+function resolveLibHelpers(code, library) {
+  const ordered = [];
+  const visiting = new Set();
+  const done = new Set();
+
+  const visit = name => {
+    if (done.has(name) || visiting.has(name)) return;
+    visiting.add(name);
+    for (const dep of library.get(name).deps) visit(dep);
+    visiting.delete(name);
+    done.add(name);
+    ordered.push(name);
+  };
+
+  for (const name of library.keys()) {
+    if (referencesIdentifier(code, name) && !declaresIdentifier(code, name)) visit(name);
+  }
+  return ordered.filter(name => !declaresIdentifier(code, name));
+}
+
+function bundleLibrary(code, library) {
+  if (!library || !library.size) return { code, helpers: [] };
+  const helpers = resolveLibHelpers(code, library);
+  if (!helpers.length) return { code, helpers };
+  const inlined = helpers.map(name => library.get(name).code).join("\n\n");
+  return { code: `${inlined}\n\n${code}`, helpers };
+}
+
+// Selector profiles -----------------------------------------------------
+// src/profiles/<page>.json maps the fields of one BSP page to alternative selectors
+// (see lib/selectors.js). A bookmarklet gets SELECTOR_PROFILES with exactly the pages
+// it names in a queryProfile/queryProfileAll/matchesProfile call; a page or field
+// missing from src/profiles/ stops the build.
+const PROFILES = path.join(SRC, "profiles");
+const PROFILE_CALL_PATTERN = /\b(?:queryProfile|queryProfileAll|matchesProfile)\(\s*"([\w-]+)"(?:\s*,\s*"([\w-]+)")?/g;
+
+function loadSelectorProfiles(dir) {
+  const profiles = {};
+  if (!fs.existsSync(dir)) return profiles;
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith(".json")).sort()) {
+    const profile = readJsonFile(path.join(dir, file));
+    const valid =
+      profile &&
+      typeof profile === "object" &&
+      !Array.isArray(profile) &&
+      Object.values(profile).every(
+        selectors =>
+          Array.isArray(selectors) &&
+          selectors.length > 0 &&
+          selectors.every(selector => typeof selector === "string" && selector.trim())
+      );
+    if (!valid) {
+      throw new Error(`profiles/${file} must map each field to a non-empty list of selectors`);
+    }
+    profiles[file.replace(/\.json$/, "")] = profile;
+  }
+  return profiles;
+}
+
+function injectSelectorProfiles(code, profiles) {
+  if (!referencesIdentifier(code, "SELECTOR_PROFILES") || declaresIdentifier(code, "SELECTOR_PROFILES")) {
+    return { code, pages: [] };
+  }
+  const used = {};
+  for (const [, page, field] of code.matchAll(PROFILE_CALL_PATTERN)) {
+    if (!profiles[page]) {
+      throw new Error(`Unknown selector profile "${page}" (expected src/profiles/${page}.json)`);
+    }
+    if (field && !profiles[page][field]) {
+      throw new Error(`Selector profile "${page}" has no field "${field}"`);
+    }
+    used[page] = profiles[page];
+  }
+  const pages = Object.keys(used);
+  return { code: `const SELECTOR_PROFILES = ${JSON.stringify(used)};\n\n${code}`, pages };
+}
+
+// Versions --------------------------------------------------------------
+// A bookmarklet that references BOOKMARKLET_BUILD (lib/update.js) gets its id, the
+// version, a hash of its own code and the build time. The hash is taken with
+// placeholders in place of itself and the time, so an unchanged tool keeps its hash.
+const BUILD_HASH_PLACEHOLDER = "__BSP_BUILD_HASH__";
+const BUILD_TIME_PLACEHOLDER = "__BSP_BUILD_TIME__";
+
+function injectBuildStamp(code, stamp) {
+  if (!stamp || !referencesIdentifier(code, "BOOKMARKLET_BUILD") || declaresIdentifier(code, "BOOKMARKLET_BUILD")) {
+    return code;
+  }
+  const declaration = JSON.stringify({
+    id: stamp.id,
+    version: stamp.version,
+    hash: BUILD_HASH_PLACEHOLDER,
+    builtAt: BUILD_TIME_PLACEHOLDER,
+    manifestUrl: stamp.manifestUrl,
+  });
+  return `const BOOKMARKLET_BUILD = ${declaration};\n\n${code}`;
+}
+
+function contentHash(code) {
+  return crypto.createHash("sha256").update(code, "utf8").digest("hex").slice(0, 12);
+}
+
+// Returns the URL and the content hash that versions.json lists for it.
+function toBookmarkletURL(
+  source,
+  {
+    wrap = true,
+    library = null,
+    minify = true,
+    profiles = {},
+    stamp = null,
+  } = {}
+) {
+  const normalized = normalizeBookmarkletSource(source, wrap);
+  const { wrap: shouldWrap, wrapperType } = normalized;
+  const bundled = injectBuildStamp(
+    injectSelectorProfiles(bundleLibrary(normalized.code, library).code, profiles).code,
+    stamp
+  );
+  const code = minify ? minifyJs(bundled, { alias: shouldWrap }) : bundled;
   let finalCode;
   if (shouldWrap) {
     if (wrapperType === "async") {
@@ -168,17 +1073,68 @@ function toBookmarkletURL(source, wrap = true) {
   } else {
     finalCode = code;
   }
-  return "javascript:" + encodeURI(finalCode).replace(/#/g, "%23");
+  try {
+    new vm.Script(finalCode);
+  } catch (error) {
+    throw new Error(`Generated bookmarklet does not parse: ${error.message}`);
+  }
+  const hash = contentHash(finalCode);
+  if (stamp) {
+    finalCode = finalCode.replace(BUILD_HASH_PLACEHOLDER, hash).replace(BUILD_TIME_PLACEHOLDER, stamp.builtAt);
+  }
+  const href = "javascript:" + encodeURI(finalCode).replace(/#/g, "%23");
+  return { href, hash };
+}
+
+// Size budget -----------------------------------------------------------
+// Longest javascript: URL each browser keeps in a bookmark without cutting it off.
+const BROWSER_URL_LIMITS = [
+  { key: "firefox", browser: "Firefox", limit: 65536 },
+  { key: "chromium", browser: "Chromium (Chrome, Edge)", limit: 2097152 },
+];
+
+// "browsers": ["chromium"] on an item limits it to those browsers: only their limits
+// apply, and its card says where it works. Without the setting an item is for all.
+function readBrowsers(file, browsers) {
+  if (browsers === undefined) return BROWSER_URL_LIMITS;
+  const keys = BROWSER_URL_LIMITS.map(({ key }) => key);
+  if (!Array.isArray(browsers) || !browsers.length || browsers.some(key => !keys.includes(key))) {
+    throw new Error(`${file}: "browsers" must list some of ${keys.join(", ")}`);
+  }
+  return BROWSER_URL_LIMITS.filter(({ key }) => browsers.includes(key));
+}
+
+function checkSizeBudget(file, length, budget, browsers = BROWSER_URL_LIMITS) {
+  const problems = [];
+  if (budget && length > budget) {
+    problems.push(`${file}: ${length} chars exceeds its budget of ${budget}`);
+  }
+  for (const { browser, limit } of browsers) {
+    if (length > limit) {
+      problems.push(`${file}: ${length} chars exceeds the ${browser} bookmark limit of ${limit}`);
+    }
+  }
+  return problems;
 }
 
 // Collect ---------------------------------------------------------------
-ensureDir(DIST);
+// test/minify.test.js requires this file for the minifier and the library lookup; only
+// `node build.js` builds.
+if (require.main !== module) {
+  module.exports = { minifyJs, referencesIdentifier, declaresIdentifier };
+  return;
+}
+
+ensureDir(path.dirname(OUT));
 const allFiles = listJs(SRC);
 const meta = readMeta();
+const library = loadLibrary(LIB);
+const selectorProfiles = loadSelectorProfiles(PROFILES);
 const version = resolveVersion(meta.version);
 const versionDisplay = version.startsWith("v") ? version : `v${version}`;
 const buildNow = new Date();
 const buildTimestamp = formatTimestamp(buildNow);
+const manifestUrl = resolveManifestUrl(meta.updateUrl);
 const metaFilePath = path.join(SRC, "_meta.json");
 const metaFileText = fs.existsSync(metaFilePath)
   ? fs.readFileSync(metaFilePath, "utf8").replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n")
@@ -188,6 +1144,7 @@ const ordered = [
   ...allFiles.filter(f => !meta.order.includes(f)),
 ];
 
+const budgetProblems = [];
 const entries = ordered.map(file => {
   const full = path.join(SRC, file);
   const src = fs.readFileSync(full, "utf8");
@@ -197,6 +1154,9 @@ const entries = ordered.map(file => {
     desc: rawDesc,
     wrap,
     bookmarkName: rawBookmarkName,
+    budget: rawBudget,
+    browsers: rawBrowsers,
+    minify,
     ...rest
   } = cfg;
 
@@ -206,17 +1166,44 @@ const entries = ordered.map(file => {
   const bookmarkNameClean =
     typeof rawBookmarkName === "string" && rawBookmarkName.trim() ? rawBookmarkName.trim() : "";
   const bookmarkName = bookmarkNameClean || name;
-  const href = toBookmarkletURL(src, wrap !== false);
+  const browsers = readBrowsers(file, rawBrowsers);
+  const id = fallbackName;
+  const { href, hash } = toBookmarkletURL(src, {
+    wrap: wrap !== false,
+    library,
+    minify: minify !== false,
+    profiles: selectorProfiles,
+    stamp: { id, version, builtAt: buildNow.toISOString(), manifestUrl },
+  });
+  const sourceCode = normalizeBookmarkletSource(src, wrap !== false).code;
+  const helpers = resolveLibHelpers(sourceCode, library);
+  const { pages } = injectSelectorProfiles(bundleLibrary(sourceCode, library).code, selectorProfiles);
+  const budget = toBudget(rawBudget) || meta.budget;
+  console.log(`   ${file}: ${helpers.length} lib helper(s)${helpers.length ? ` (${helpers.join(", ")})` : ""}`);
+  if (pages.length) console.log(`   ${file}: selector profile(s) ${pages.join(", ")}`);
+  console.log(`   ${file}: build ${version} ${hash}`);
+  console.log(
+    `   ${file}: ${href.length} chars encoded${budget ? ` (budget ${budget})` : ""}`
+  );
+  budgetProblems.push(...checkSizeBudget(file, href.length, budget, browsers));
   return {
     ...rest,
+    browsers: browsers.length < BROWSER_URL_LIMITS.length ? browsers.map(({ browser }) => browser) : null,
+    id,
     name,
     desc,
     href,
+    hash,
     bookmarkName,
     hasBookmarkName: Boolean(bookmarkNameClean),
   };
 });
 
+if (budgetProblems.length) {
+  budgetProblems.forEach(problem => console.error(`❌ ${problem}`));
+  process.exit(1);
+}
+
 // HTML & CSS ------------------------------------------------------------
 const css = `:root {
   color-scheme: light;
@@ -529,6 +1516,13 @@ span.name {
   font-weight: 600;
 }
 
+span.version {
+  font-size: 11px;
+  font-weight: 400;
+  color: var(--muted);
+  font-variant-numeric: tabular-nums;
+}
+
 .bookmark-line {
   display: inline-flex;
   align-items: center;
@@ -618,6 +1612,12 @@ html[data-theme="dark"] span.bookmark-name.is-fallback {
   background: rgba(148, 163, 184, 0.22);
 }
 
+p.browser-note {
+  margin: 10px 0 0;
+  font-size: 13px;
+  color: var(--muted);
+}
+
 span.badge {
   font-size: 13px;
   color: var(--muted);
@@ -685,6 +1685,9 @@ const cardsHtml = entries
     const details = e.desc
       ? `<details><summary>More info</summary><div class="more">${escapeHtml(e.desc)}</div></details>`
       : "";
+    const browserNote = e.browsers
+      ? `<p class="browser-note">Only for ${escapeHtml(e.browsers.join(" and "))}: too long for other browsers' bookmarks.</p>`
+      : "";
     const fallbackNote = e.hasBookmarkName ? "" : `<span class="fallback-note">(default)</span>`;
     const copyIconSvg = `<svg viewBox="0 0 24 24" aria-hidden="true" focusable="false"><rect x="8" y="3.5" width="11.5" height="14.5" rx="2.5" ry="2.5" fill="currentColor"/><rect x="4.5" y="6.5" width="11.5" height="14.5" rx="2.5" ry="2.5" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/></svg>`;
     const copyButton = e.bookmarkName
@@ -701,12 +1704,13 @@ const cardsHtml = entries
           <span class="drag-hint">⇢ Drag me</span>
           <span class="drag-divider" aria-hidden="true"></span>
           <div class="title-group">
-            <span class="name">${escapeHtml(e.name)}</span>
+            <span class="name">${escapeHtml(e.name)} <span class="version" title="Build ${e.hash}">${escapeHtml(versionDisplay)} · ${e.hash.slice(0, 7)}</span></span>
             ${bookmarkLine}
           </div>
         </div>
         <span class="badge">GENERAL</span>
       </div>
+      ${browserNote}
       ${details}
     </article>`;
   })
@@ -924,4 +1928,20 @@ const html = `<!doctype html>
 </html>`;
 
 fs.writeFileSync(OUT, html, "utf8");
+
+// Manifest --------------------------------------------------------------
+// Published next to index.html; bookmarklets compare their own hash against it.
+const manifestFile = path.join(path.dirname(OUT), "versions.json");
+const manifest = {
+  version,
+  builtAt: buildNow.toISOString(),
+  bookmarklets: Object.fromEntries(
+    entries.map(e => [
+      e.id,
+      { name: e.name, bookmarkName: e.bookmarkName, version, hash: e.hash, builtAt: buildNow.toISOString() },
+    ])
+  ),
+};
+fs.writeFileSync(manifestFile, `${JSON.stringify(manifest, null, 2)}\n`, "utf8");
 console.log(`✅ Built ${OUT} with ${entries.length} bookmarklet(s).`);
+console.log(`✅ Wrote ${manifestFile}${manifestUrl ? ` (bookmarklets check ${manifestUrl})` : " (update check off: no PAGES_URL or updateUrl)"}.`);
@@ -0,0 +1,47 @@
+javascript:(async () => {
+  // One bookmark for every BSP page: recognises the page and offers the matching tool.
+  // runCopy and runFill are the flows of the Copy and Fill bookmarklets (lib/copy.js,
+  // lib/fill.js).
+
+  const PAGE_ACTIONS = {
+    resa: {
+      page: "Reservierungsseite",
+      label: "Reservierung kopieren",
+      detail: "Stationen, Termine und Fahrerdaten speichern und tarifs.asp öffnen.",
+      run: () => runCopy(),
+    },
+    tarifs: {
+      page: "Tarifsuche (tarifs.asp)",
+      label: "Tarifsuche ausfüllen",
+      detail: "Stationen, Daten und Uhrzeiten der kopierten Reservierung eintragen.",
+      run: () => runFill(),
+    },
+    book: {
+      page: "Fahrerformular (book.asp)",
+      label: "Fahrerdaten ausfüllen",
+      detail: "Personaldaten der kopierten Reservierung eintragen.",
+      run: () => runFill(),
+    },
+  };
+
+  checkForUpdate();
+  const { page, via } = detectBspPage();
+  traceEvent("page", { detected: page, via });
+
+  if (!page) {
+    showToast(
+      "Keine BSP-Seite erkannt. Der Assistent hilft auf der Reservierungsseite (kopieren), " +
+        "auf tarifs.asp (Tarifsuche ausfüllen) und auf book.asp (Fahrerdaten ausfüllen).",
+      { error: true }
+    );
+    return;
+  }
+
+  const action = PAGE_ACTIONS[page];
+  const choice = await pickFromOverlay(`BSP Assistant – ${action.page}`, [
+    { label: action.label, detail: action.detail },
+  ]);
+  traceEvent("choice", { prompt: "assistant", chosen: choice === 0 ? page : null });
+  if (choice !== 0) return;
+  await action.run();
+})();
@@ -0,0 +1,315 @@
+// Storage format for reservation data handed from the copy to the fill bookmarklet.
+//
+// Schema history:
+//   1 – unversioned object written before schemaVersion existed; without capturedAt it
+//       counts as expired, so it is never migrated
+//   2 – adds schemaVersion, capturedAt and source { url, reservationId }
+//   3 – adds reservation { reference, category, extras, price, remarks }
+//   4 – adds the driver profile: civility, address, birth date and licence
+//   5 – adds driver.travel { raw, type, carrier, operator, number } next to flightNumber
+//
+// Captures are kept as a bounded history under BOOKING_HISTORY_KEY.
+
+const BOOKING_STORAGE_KEY = "bspAutoBookingData";
+
+const BOOKING_SCHEMA_VERSION = 5;
+
+const BOOKING_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// localStorage["bspAutoBookingTtlHours"] (e.g. "8") overrides BOOKING_MAX_AGE_MS on that origin.
+const BOOKING_TTL_SETTING_KEY = "bspAutoBookingTtlHours";
+
+const bookingMaxAgeMs = () => {
+  let hours = NaN;
+  try {
+    hours = parseFloat(localStorage.getItem(BOOKING_TTL_SETTING_KEY));
+  } catch (error) {
+    hours = NaN;
+  }
+  return hours > 0 ? hours * 60 * 60 * 1000 : BOOKING_MAX_AGE_MS;
+};
+
+// Entries without a usable timestamp (written before schema 2) count as expired: their
+// age is unknown, so they could hold personal data forever.
+const isBookingExpired = (entry, { now = Date.now(), maxAgeMs = bookingMaxAgeMs() } = {}) => {
+  const capturedAt = Date.parse(entry && entry.capturedAt);
+  return Number.isNaN(capturedAt) || now - capturedAt > maxAgeMs;
+};
+
+// Vehicle category code (size, type, transmission, fuel/air-con) as defined by ACRISS. It
+// counts only where a category text gives it as a code – the whole text, in parentheses,
+// after a closing dash or after an "ACRISS"/"SIPP" label – so that capitals in a model
+// name ("SEMI-AUTO", "STAR") are no code.
+const ACRISS_CODE = "[MNEHCDIJSRFGPULWOX][BCDWVLSTFJXPQZEMRHYNGK][MNCABD][RNDQHIECLSABMFVZUX]";
+const ACRISS_CODE_PATTERN = new RegExp(
+  `(?:^|\\(\\s*|\\s[-–]\\s)(${ACRISS_CODE})(?:\\s*\\)|$)|\\b(?:ACRISS|SIPP)\\s*:?\\s*(${ACRISS_CODE})\\b`
+);
+
+// { code, match } for the ACRISS code of a category text, or null; `match` is the text
+// that gave it, for removing it from the category name.
+const findAcrissCode = (text) => {
+  const match = normalizeWhitespace(text).match(ACRISS_CODE_PATTERN);
+  return match ? { code: match[1] || match[2], match: match[0] } : null;
+};
+
+// Field types end in "?" when null is allowed; [schema] is a list of schema items.
+const BOOKING_FIELD_PATTERNS = {
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  time: /^\d{2}:\d{2}$/,
+  iata: /^[A-Z]{3}$/,
+  digits: /^\d+$/,
+  acriss: /^[A-Z]{4}$/,
+  currency: /^[A-Z]{3}$/,
+  civility: /^(?:mr|mrs)$/,
+  travelType: /^(?:flight|train)$/,
+  isoDateTime: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})$/,
+};
+
+const BOOKING_STATION_SCHEMA = {
+  raw: "string?",
+  stationCode: "digits?",
+  iata: "iata?",
+};
+
+const BOOKING_DATETIME_SCHEMA = {
+  dateRaw: "string?",
+  date: "date?",
+  time: "time?",
+};
+
+const BOOKING_SCHEMA = {
+  schemaVersion: "integer",
+  capturedAt: "isoDateTime",
+  source: {
+    url: "string?",
+    reservationId: "string?",
+  },
+  pickupStation: BOOKING_STATION_SCHEMA,
+  pickup: BOOKING_DATETIME_SCHEMA,
+  returnStation: BOOKING_STATION_SCHEMA,
+  return: BOOKING_DATETIME_SCHEMA,
+  driver: {
+    firstName: "string?",
+    lastName: "string?",
+    phone: "string?",
+    email: "string?",
+    flightNumber: "string?",
+    travel: {
+      raw: "string?",
+      type: "travelType?",
+      carrier: "string?",
+      operator: "string?",
+      number: "string?",
+    },
+    civility: "civility?",
+    street: "string?",
+    postalCode: "string?",
+    city: "string?",
+    country: "string?",
+    birthDate: "date?",
+    licenceNumber: "string?",
+    licenceIssueDate: "date?",
+  },
+  reservation: {
+    reference: "string?",
+    category: {
+      name: "string?",
+      acriss: "acriss?",
+    },
+    extras: [
+      {
+        type: "string",
+        label: "string",
+        quantity: "integer",
+      },
+    ],
+    price: {
+      amount: "number?",
+      currency: "currency?",
+      raw: "string?",
+    },
+    remarks: "string?",
+  },
+};
+
+const validateAgainstSchema = (value, schema, path = "") => {
+  if (Array.isArray(schema)) {
+    if (!Array.isArray(value)) {
+      return [`${path}: Liste erwartet`];
+    }
+    return value.flatMap((item, index) => validateAgainstSchema(item, schema[0], `${path}[${index}]`));
+  }
+  if (typeof schema === "object") {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      return [`${path || "Daten"}: Objekt erwartet`];
+    }
+    return Object.keys(schema).flatMap((key) =>
+      validateAgainstSchema(value[key], schema[key], path ? `${path}.${key}` : key)
+    );
+  }
+
+  const nullable = schema.endsWith("?");
+  const type = nullable ? schema.slice(0, -1) : schema;
+  if (value == null) {
+    return nullable ? [] : [`${path}: fehlt`];
+  }
+  if (type === "integer") {
+    return Number.isInteger(value) ? [] : [`${path}: Ganzzahl erwartet`];
+  }
+  if (type === "number") {
+    return Number.isFinite(value) ? [] : [`${path}: Zahl erwartet`];
+  }
+  if (typeof value !== "string") {
+    return [`${path}: Text erwartet`];
+  }
+  const pattern = BOOKING_FIELD_PATTERNS[type];
+  if (pattern && !pattern.test(value)) {
+    return [`${path}: ungültiges Format "${value}"`];
+  }
+  return [];
+};
+
+const createBookingPayload = (data, { url = null, reservationId = null, now = new Date() } = {}) => ({
+  schemaVersion: BOOKING_SCHEMA_VERSION,
+  capturedAt: now.toISOString(),
+  source: { url, reservationId },
+  ...data,
+});
+
+const migrateBookingPayload = (payload) => {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) return payload;
+  let migrated = payload;
+  if (migrated.schemaVersion === 2) {
+    migrated = {
+      ...migrated,
+      schemaVersion: 3,
+      reservation: {
+        reference: migrated.source ? migrated.source.reservationId : null,
+        category: { name: null, acriss: null },
+        extras: [],
+        price: { amount: null, currency: null, raw: null },
+        remarks: null,
+      },
+    };
+  }
+  if (migrated.schemaVersion === 3) {
+    migrated = {
+      ...migrated,
+      schemaVersion: 4,
+      driver: {
+        ...migrated.driver,
+        civility: null,
+        street: null,
+        postalCode: null,
+        city: null,
+        country: null,
+        birthDate: null,
+        licenceNumber: null,
+        licenceIssueDate: null,
+      },
+    };
+  }
+  if (migrated.schemaVersion === 4) {
+    const driver = migrated.driver || {};
+    migrated = {
+      ...migrated,
+      schemaVersion: 5,
+      driver: {
+        ...driver,
+        travel: { raw: driver.flightNumber || null, type: null, carrier: null, operator: null, number: null },
+      },
+    };
+  }
+  return migrated;
+};
+
+const validateBookingPayload = (payload, { now = Date.now(), maxAgeMs = bookingMaxAgeMs() } = {}) => {
+  const migrated = migrateBookingPayload(payload);
+  if (!migrated || typeof migrated !== "object" || Array.isArray(migrated)) {
+    return { data: null, error: "Gespeicherte Daten sind beschädigt." };
+  }
+  if (Number.isInteger(migrated.schemaVersion) && migrated.schemaVersion > BOOKING_SCHEMA_VERSION) {
+    return {
+      data: null,
+      error: "Daten stammen von einer neueren Bookmarklet-Version. Bitte Bookmarklets aktualisieren.",
+    };
+  }
+
+  if (isBookingExpired(migrated, { now, maxAgeMs })) {
+    return {
+      data: null,
+      error: "Gespeicherte Daten sind veraltet. Bitte die Reservierung erneut kopieren.",
+    };
+  }
+  const problems = validateAgainstSchema(migrated, BOOKING_SCHEMA);
+  if (problems.length) {
+    return { data: null, error: `Gespeicherte Daten sind ungültig (${problems[0]}).` };
+  }
+
+  return { data: migrated, error: null };
+};
+
+// History of captured reservations, newest first. The latest entry is also
+// mirrored into BOOKING_STORAGE_KEY so older Fill bookmarklets keep working.
+const BOOKING_HISTORY_KEY = "bspAutoBookingHistory";
+
+const BOOKING_HISTORY_LIMIT = 10;
+
+const bookingEntryKey = (payload) => {
+  const source = payload && payload.source ? payload.source : {};
+  return `${source.reservationId || "-"}@${payload && payload.capturedAt ? payload.capturedAt : "-"}`;
+};
+
+const readBookingHistory = () => {
+  const readJson = (key) => {
+    try {
+      const raw = localStorage.getItem(key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      return null;
+    }
+  };
+  const history = readJson(BOOKING_HISTORY_KEY);
+  if (Array.isArray(history) && history.length) {
+    return history;
+  }
+  const latest = readJson(BOOKING_STORAGE_KEY);
+  return latest ? [latest] : [];
+};
+
+const saveBookingToHistory = (payload) => {
+  const reservationId = payload.source ? payload.source.reservationId : null;
+  const previous = readBookingHistory().filter((entry) => {
+    if (!entry || typeof entry !== "object") return false;
+    if (bookingEntryKey(entry) === bookingEntryKey(payload)) return false;
+    return !reservationId || !entry.source || entry.source.reservationId !== reservationId;
+  });
+  const history = [payload, ...previous.filter((entry) => !isBookingExpired(entry))].slice(0, BOOKING_HISTORY_LIMIT);
+  writeBookingHistory(history);
+  return history;
+};
+
+// Stores the history and mirrors its newest entry; an empty history removes both keys.
+const writeBookingHistory = (history) => {
+  if (!history.length) {
+    localStorage.removeItem(BOOKING_HISTORY_KEY);
+    localStorage.removeItem(BOOKING_STORAGE_KEY);
+    return;
+  }
+  localStorage.setItem(BOOKING_HISTORY_KEY, JSON.stringify(history));
+  localStorage.setItem(BOOKING_STORAGE_KEY, JSON.stringify(history[0]));
+};
+
+// Deletes captures older than the TTL so personal data does not linger in storage.
+const purgeExpiredBookings = (options) => {
+  const history = readBookingHistory();
+  const kept = history.filter((entry) => entry && typeof entry === "object" && !isBookingExpired(entry, options));
+  if (kept.length !== history.length) writeBookingHistory(kept);
+  return kept;
+};
+
+const removeBookingFromHistory = (payload) => {
+  const history = readBookingHistory();
+  const kept = history.filter((entry) => bookingEntryKey(entry) !== bookingEntryKey(payload));
+  if (kept.length !== history.length) writeBookingHistory(kept);
+};
@@ -0,0 +1,414 @@
+// The Copy flow: reads the reservation page, stores the capture and opens tarifs.asp.
+// The Copy bookmarklet and the BSP Assistant both run it.
+
+const runCopy = async () => {
+  startTrace("copy");
+  checkForUpdate();
+
+  const TARIFS_URL = "https://www.bsp-auto.com/auto_2175bsp/tarifs.asp";
+
+  const getIata = (value) => {
+    const matches = normalizeWhitespace(value).match(/\b[A-Z]{3}\b/g);
+    return matches ? matches[matches.length - 1] : null;
+  };
+
+  const getStationCode = (value) => {
+    const match = toStringSafe(value).match(/-\s*(\d{4,5})\s*$/);
+    return match ? match[1] : null;
+  };
+
+  const getTime = (value) => {
+    const text = toStringSafe(value);
+    const regex = /(?:^|[^0-9])(\d{1,2})\s*[:h]\s*(\d{2})(?!\d)(?:\s*([ap])\.?\s?m\b\.?)?/gi;
+    let match;
+    let lastMatch = null;
+    while ((match = regex.exec(text)) !== null) {
+      lastMatch = match;
+    }
+    if (!lastMatch) return null;
+    let hourValue = parseInt(lastMatch[1], 10);
+    const meridiem = lastMatch[3] ? lastMatch[3].toLowerCase() : null;
+    if (meridiem === "p" && hourValue < 12) hourValue += 12;
+    if (meridiem === "a" && hourValue === 12) hourValue = 0;
+    const hours = String(hourValue).padStart(2, "0");
+    const minutes = String(parseInt(lastMatch[2], 10)).padStart(2, "0");
+    return `${hours}:${minutes}`;
+  };
+
+  const pageLanguage = detectPageLanguage(
+    (queryProfile("resa", "infos") || document.body || {}).textContent
+  );
+
+  const getDate = (value) => parseLocalizedDate(repairText(value), pageLanguage);
+
+  const findNextTxt = (node) => {
+    let current = node.nextElementSibling;
+    while (current) {
+      if (matchesProfile("resa", "infoText", current)) {
+        return current;
+      }
+      current = current.nextElementSibling;
+    }
+    return null;
+  };
+
+  // `titleField` names the section titles in the resa selector profile.
+  const getSectionData = (titleField, keyword) => {
+    const container = queryProfile("resa", "infos");
+    if (!container) return null;
+
+    const title = queryProfileAll("resa", titleField, container).find((node) =>
+      normalizeWhitespace(node.textContent || "").toLowerCase().includes(keyword)
+    );
+
+    traceEvent("section", { titleField, keyword, found: Boolean(title) });
+    if (!title) return null;
+
+    const stationElement = findNextTxt(title);
+    const dateElement = stationElement ? findNextTxt(stationElement) : null;
+
+    const stationLine = stationElement ? stationElement.textContent : "";
+    const boldNode = stationElement ? queryProfile("resa", "stationName", stationElement) : null;
+    const stationRaw = normalizeWhitespace(boldNode ? boldNode.textContent : "");
+    const stationCode = stationElement ? getStationCode(normalizeWhitespace(stationLine)) : null;
+    const iata = stationRaw ? getIata(stationRaw) : null;
+
+    const dateRaw = normalizeWhitespace(dateElement ? dateElement.textContent : "");
+    const time = dateRaw ? getTime(dateRaw) : null;
+    const date = dateRaw ? getDate(dateRaw) : null;
+
+    return {
+      station: {
+        raw: stationRaw || null,
+        stationCode: stationCode || null,
+        iata,
+      },
+      datetime: {
+        dateRaw: dateRaw || null,
+        date: date || null,
+        time,
+      },
+    };
+  };
+
+  const pickupData = getSectionData("pickupTitle", "prise");
+  const returnData = getSectionData("returnTitle", "retour");
+
+  const getInputValue = (field) => {
+    const element = queryProfile("resa", field);
+    traceEvent("query", { profile: `resa.${field}`, found: Boolean(element) });
+    if (!element) return null;
+    if ("value" in element) {
+      return element.value ?? null;
+    }
+    return element.textContent ?? null;
+  };
+
+  const getDriverData = () => {
+    // The known input names come first; the label-based resolver finds the rest of the profile.
+    const fields = resolveFormFields(DRIVER_FIELD_MAPPING, document, { includeInactive: true });
+    // Listed as pairs: the field keys are personal data keys and would be masked as object keys.
+    traceEvent("fields", {
+      elements: Object.entries(fields).map(([field, element]) => ({ field, element: describeElement(element) })),
+    });
+    const readField = (key) => {
+      const value = fields[key] ? normalizeWhitespace(readFormFieldValue(fields[key])) : "";
+      return value || null;
+    };
+    const readDate = (key) => {
+      const value = readField(key);
+      return value ? parseLocalizedDate(value, pageLanguage) : null;
+    };
+
+    const firstName = getInputValue("firstName") ?? readField("firstName");
+    const lastName = getInputValue("lastName") ?? readField("lastName");
+    const phone = getInputValue("phone") ?? readField("phone");
+    const email = getInputValue("email") ?? readField("email");
+    const country = readField("country");
+
+    // Valid numbers are stored in E.164; anything else stays as typed so nothing is lost.
+    const dialCode = toStringSafe(readField("phoneDialCode")).replace(/\D/g, "");
+    const phoneText = phone && dialCode && !/^(?:\+|00)/.test(phone) ? `+${dialCode} ${phone}` : phone;
+    const parsedPhone = phoneText ? parsePhoneNumber(phoneText, phoneCountryFromText(country)) : null;
+
+    // The whole "Vol/Train" entry is kept as typed; the parsed form feeds the vol field.
+    const flightContainer = queryProfile("resa", "infos");
+    let travelRaw = null;
+    if (flightContainer) {
+      const flightNode = queryProfileAll("resa", "infoTitle", flightContainer).find((node) =>
+        normalizeWhitespace(node.textContent || "")
+          .toLowerCase()
+          .includes("vol/train")
+      );
+      if (flightNode) {
+        const match = normalizeWhitespace(flightNode.textContent).match(/Vol\/Train\s*:\s*(.*)$/i);
+        travelRaw = match && match[1] ? match[1] : null;
+      }
+    }
+    travelRaw = travelRaw ?? readField("flightNumber");
+    const travel = parseTravelNumber(travelRaw);
+    if (travelRaw && !travel) {
+      console.warn(
+        "Vol/Train entry not recognised, kept as typed:",
+        redactPersonalData({ flightNumber: travelRaw }).flightNumber
+      );
+    }
+    traceEvent("travel", { found: Boolean(travelRaw), kind: travel ? travel.type : null });
+
+    const driver = {
+      firstName: firstName ?? null,
+      lastName: lastName ?? null,
+      phone: parsedPhone && parsedPhone.e164 ? parsedPhone.e164 : phone ?? null,
+      email: email ?? null,
+      flightNumber: travel ? travel.normalized : null,
+      travel: {
+        raw: travelRaw,
+        type: travel ? travel.type : null,
+        carrier: travel ? travel.carrier : null,
+        operator: travel ? travel.operator : null,
+        number: travel ? travel.number : null,
+      },
+      civility: normalizeCivility(readField("civility")),
+      street: readField("street"),
+      postalCode: readField("postalCode"),
+      city: readField("city"),
+      country,
+      birthDate: readDate("birthDate"),
+      licenceNumber: readField("licenceNumber"),
+      licenceIssueDate: readDate("licenceIssueDate"),
+    };
+
+    Object.keys(driver).forEach((key) => {
+      const problem = validateDriverField(key, driver[key], { driver });
+      if (!problem) return;
+      console.warn(`Driver field ${key} looks wrong: ${problem}`, redactPersonalData(driver)[key]);
+      traceEvent("invalid", { field: key, message: scrubTraceMessage(problem) });
+    });
+    return driver;
+  };
+
+  // Titles are matched by their start so "Prise en charge du véhicule" is not
+  // mistaken for the vehicle section.
+  const findInfoTitle = (prefixes) => {
+    const container = queryProfile("resa", "infos");
+    if (!container) return null;
+    return (
+      queryProfileAll("resa", "infoTitle", container).find((node) => {
+        const text = normalizeForMatch(node.textContent);
+        return prefixes.some((prefix) => text.startsWith(prefix));
+      }) || null
+    );
+  };
+
+  const getTextLines = (element) => {
+    if (!element) return [];
+    const items = Array.from(element.querySelectorAll("li"));
+    const chunks = items.length
+      ? items.map((item) => item.textContent)
+      : element.innerHTML
+          .split(/<br\s*\/?>/i)
+          .map((html) => new DOMParser().parseFromString(html, "text/html").body.textContent);
+    return chunks.map(normalizeWhitespace).filter(Boolean);
+  };
+
+  // Value written inline after the colon ("Catégorie : B") or in the next .txt block.
+  const getInfoLines = (prefixes) => {
+    const title = findInfoTitle(prefixes);
+    if (!title) return null;
+    const inline = normalizeWhitespace(title.textContent).split(":").slice(1).join(":").trim();
+    if (inline) return [inline];
+    return getTextLines(findNextTxt(title));
+  };
+
+  const getReservationId = () => {
+    // Only names that mean a reservation; a bare "id" on other pages means anything.
+    const params = new URLSearchParams(window.location.search);
+    for (const key of ["num_resa", "id_resa", "resa", "reservation"]) {
+      const value = normalizeWhitespace(params.get(key));
+      if (value) return value;
+    }
+    const referenceLines = getInfoLines(["reference", "n° de reservation", "numero de reservation"]);
+    const referenceMatch = referenceLines && referenceLines.join(" ").match(/[A-Z0-9-]{4,}/i);
+    if (referenceMatch) return referenceMatch[0];
+    const container = queryProfile("resa", "infos") || document.body;
+    const match = normalizeWhitespace(container ? container.textContent : "").match(
+      /r[ée]servation\s*(?:n[°o º]*|num[ée]ro|#)\s*:?\s*([A-Z0-9-]{4,})/i
+    );
+    return match ? match[1] : null;
+  };
+
+  const getCategory = () => {
+    const lines = getInfoLines(["categorie", "vehicule", "modele"]);
+    if (!lines || !lines.length) return { name: null, acriss: null };
+    const text = lines.join(" ");
+    const acriss = findAcrissCode(text);
+    const name = normalizeWhitespace(
+      acriss ? normalizeWhitespace(text).replace(acriss.match, "").replace(/\(\s*\)|[-–(]\s*$/g, "") : text
+    );
+    return { name: name || null, acriss: acriss ? acriss.code : null };
+  };
+
+  const EXTRA_TYPES = [
+    { type: "childSeat", pattern: /siege (?:enfant|bebe|auto)|rehausseur|child seat|baby seat|booster/ },
+    { type: "gps", pattern: /\bgps\b|navigat/ },
+    { type: "extraDriver", pattern: /conducteur (?:supplementaire|additionnel)|additional driver|extra driver/ },
+  ];
+
+  const getExtras = () => {
+    const lines = getInfoLines(["option", "equipement", "extra", "supplement"]) || [];
+    return lines
+      .filter((line) => !/^(?:aucune?|none|-)$/i.test(line))
+      .map((line) => {
+        const normalized = normalizeForMatch(line);
+        const known = EXTRA_TYPES.find(({ pattern }) => pattern.test(normalized));
+        const quantityMatch = line.match(/(?:^|\s)(\d{1,2})\s*x\b|\bx\s*(\d{1,2})\b/i);
+        return {
+          type: known ? known.type : "other",
+          label: line,
+          quantity: quantityMatch ? parseInt(quantityMatch[1] || quantityMatch[2], 10) : 1,
+        };
+      });
+  };
+
+  const getPrice = () => {
+    const lines = getInfoLines(["prix", "montant", "total", "tarif"]);
+    const price = lines && lines.length ? parsePrice(lines.join(" ")) : null;
+    return price || { amount: null, currency: null, raw: null };
+  };
+
+  const getRemarks = () => {
+    const lines = getInfoLines(["remarque", "commentaire", "observation", "message"]);
+    return lines && lines.length ? lines.join("\n") : null;
+  };
+
+  const reservationId = getReservationId();
+
+  // Page text can arrive double-encoded or with lost accents; repair every field at once.
+  const result = repairFields({
+    pickupStation: pickupData
+      ? pickupData.station
+      : { raw: null, stationCode: null, iata: null },
+    pickup: pickupData
+      ? pickupData.datetime
+      : { dateRaw: null, date: null, time: null },
+    returnStation: returnData
+      ? returnData.station
+      : { raw: null, stationCode: null, iata: null },
+    return: returnData
+      ? returnData.datetime
+      : { dateRaw: null, date: null, time: null },
+    driver: getDriverData(),
+    reservation: {
+      reference: reservationId,
+      category: getCategory(),
+      extras: getExtras(),
+      price: getPrice(),
+      remarks: getRemarks(),
+    },
+  });
+
+  const logStructuredResult = (data) => {
+    if (!data || typeof data !== "object") {
+      console.warn("bspAutoBookingData is empty or invalid", data);
+      return;
+    }
+
+    console.group("bspAutoBookingData (structured)");
+    [
+      { title: "Source", value: data.source },
+      { title: "Pickup Station", value: data.pickupStation },
+      { title: "Pickup Date/Time", value: data.pickup },
+      { title: "Return Station", value: data.returnStation },
+      { title: "Return Date/Time", value: data.return },
+      { title: "Driver", value: data.driver },
+      { title: "Reservation", value: data.reservation },
+    ].forEach(({ title, value }) => {
+      console.group(title);
+      if (value && typeof value === "object") {
+        console.table([value]);
+      } else {
+        console.log(value);
+      }
+      console.groupEnd();
+    });
+    console.groupEnd();
+  };
+
+  const hasNonNullValue = (value) => {
+    if (Array.isArray(value)) {
+      return value.some(hasNonNullValue);
+    }
+    if (value && typeof value === "object") {
+      return Object.values(value).some(hasNonNullValue);
+    }
+    return value != null;
+  };
+
+  // Only which parts were found goes into the trace, not their content.
+  traceEvent("captured", {
+    parts: Object.keys(result).filter((key) => hasNonNullValue(result[key])),
+    driverFields: Object.keys(result.driver).filter((key) => hasNonNullValue(result.driver[key])),
+  });
+
+  try {
+    if (!hasNonNullValue(result)) {
+      console.warn("No BSP data found", redactPersonalData(result));
+      showToast("No data found", { error: true });
+      return;
+    }
+
+    const payload = createBookingPayload(result, {
+      url: window.location.href,
+      reservationId,
+    });
+
+    // With bspAutoEncryptBookingData = "on" only the encrypted form is stored and handed over.
+    let stored = payload;
+    if (isEncryptionEnabled()) {
+      const passphrase = await promptFromOverlay("Encrypt BSP data", {
+        label: "Passphrase (needed again when filling)",
+        type: "password",
+        submitLabel: "Encrypt and copy",
+      });
+      if (!passphrase) {
+        showToast("Copy cancelled – no passphrase entered", { error: true });
+        return;
+      }
+      try {
+        stored = await encryptBookingPayload(payload, passphrase);
+      } catch (error) {
+        console.error("Failed to encrypt bspAutoBookingData", error);
+        showToast("Encryption failed – data not stored", { error: true });
+        return;
+      }
+    }
+
+    try {
+      const history = saveBookingToHistory(stored);
+      console.info("bspAutoBookingData updated", redactPersonalData(payload));
+      logStructuredResult(redactPersonalData(payload));
+      showToast(
+        history.length > 1
+          ? `BSP data copied (${history.length} reservations stored)`
+          : "BSP data copied"
+      );
+      // localStorage does not cross origins; the hash and the clipboard do. With
+      // bspAutoHandoffTripOnly = "on" they carry the trip only (see reduceHandoffPayload).
+      let tarifsUrl = TARIFS_URL;
+      if (new URL(TARIFS_URL).origin !== window.location.origin) {
+        const handoff = isTripOnlyHandoff() ? reduceHandoffPayload(stored) : stored;
+        writeHandoffToClipboard(handoff).then((copied) => {
+          if (copied) console.info("bspAutoBookingData also copied to the clipboard");
+        });
+        tarifsUrl = buildHandoffUrl(TARIFS_URL, handoff);
+      }
+      const openPasteBookmarkletPage = () => window.open(tarifsUrl, "_blank", "noopener");
+      setTimeout(openPasteBookmarkletPage, 1000);
+    } catch (error) {
+      console.error("Failed to store bspAutoBookingData", error, redactPersonalData(payload));
+      showToast("Failed to copy BSP data", { error: true });
+    }
+  } finally {
+    finishTrace();
+  }
+};
@@ -0,0 +1,166 @@
+// Locale-aware date parsing for the languages BSP Auto pages exist in.
+
+// Keys are lowercase and without accents (see normalizeForMatch).
+const MONTH_NAMES = {
+  fr: {
+    janvier: 1, janv: 1, fevrier: 2, fevr: 2, fev: 2, mars: 3, avril: 4, avr: 4, mai: 5, juin: 6,
+    juillet: 7, juil: 7, aout: 8, septembre: 9, sept: 9, octobre: 10, oct: 10, novembre: 11,
+    nov: 11, decembre: 12, dec: 12,
+  },
+  de: {
+    januar: 1, janner: 1, jan: 1, februar: 2, feb: 2, marz: 3, mar: 3, april: 4, apr: 4, mai: 5,
+    juni: 6, jun: 6, juli: 7, jul: 7, august: 8, aug: 8, september: 9, sept: 9, sep: 9,
+    oktober: 10, okt: 10, november: 11, nov: 11, dezember: 12, dez: 12,
+  },
+  en: {
+    january: 1, jan: 1, february: 2, feb: 2, march: 3, mar: 3, april: 4, apr: 4, may: 5, june: 6,
+    jun: 6, july: 7, jul: 7, august: 8, aug: 8, september: 9, sept: 9, sep: 9, october: 10,
+    oct: 10, november: 11, nov: 11, december: 12, dec: 12,
+  },
+  es: {
+    enero: 1, ene: 1, febrero: 2, feb: 2, marzo: 3, mar: 3, abril: 4, abr: 4, mayo: 5, may: 5,
+    junio: 6, jun: 6, julio: 7, jul: 7, agosto: 8, ago: 8, septiembre: 9, setiembre: 9, sept: 9,
+    sep: 9, octubre: 10, oct: 10, noviembre: 11, nov: 11, diciembre: 12, dic: 12,
+  },
+  it: {
+    gennaio: 1, gen: 1, febbraio: 2, feb: 2, marzo: 3, mar: 3, aprile: 4, apr: 4, maggio: 5,
+    mag: 5, giugno: 6, giu: 6, luglio: 7, lug: 7, agosto: 8, ago: 8, settembre: 9, set: 9,
+    ottobre: 10, ott: 10, novembre: 11, nov: 11, dicembre: 12, dic: 12,
+  },
+};
+
+const WEEKDAY_NAMES = {
+  fr: ["lundi", "mardi", "mercredi", "jeudi", "vendredi", "samedi", "dimanche"],
+  de: ["montag", "dienstag", "mittwoch", "donnerstag", "freitag", "samstag", "sonnabend", "sonntag"],
+  en: ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"],
+  es: ["lunes", "martes", "miercoles", "jueves", "viernes", "sabado", "domingo"],
+  it: ["lunedi", "martedi", "mercoledi", "giovedi", "venerdi", "sabato", "domenica"],
+};
+
+const DATE_LANGUAGES = ["fr", "de", "en", "es", "it"];
+
+// Uses <html lang> when it names a supported language, otherwise counts month
+// and weekday names in the given text. Falls back to French.
+const detectPageLanguage = (text = "") => {
+  const declared = toStringSafe(document.documentElement.getAttribute("lang")).toLowerCase().slice(0, 2);
+  if (DATE_LANGUAGES.includes(declared)) return declared;
+
+  const words = normalizeForMatch(text).split(/[^a-z]+/).filter((word) => word.length > 3);
+  let best = { language: "fr", score: 0 };
+  DATE_LANGUAGES.forEach((language) => {
+    const vocabulary = new Set([
+      ...Object.keys(MONTH_NAMES[language]).filter((name) => name.length > 3),
+      ...WEEKDAY_NAMES[language],
+    ]);
+    const score = words.filter((word) => vocabulary.has(word)).length;
+    if (score > best.score) best = { language, score };
+  });
+  return best.language;
+};
+
+const toIsoDate = (year, month, day) => {
+  const fullYear = year < 100 ? 2000 + year : year;
+  if (month < 1 || month > 12 || day < 1) return null;
+  const isLeapYear = fullYear % 4 === 0 && (fullYear % 100 !== 0 || fullYear % 400 === 0);
+  const daysInMonth = [31, isLeapYear ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][month - 1];
+  if (day > daysInMonth) return null;
+  return `${String(fullYear).padStart(4, "0")}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+};
+
+const lookupMonth = (name, language) => {
+  const key = toStringSafe(name).replace(/\.$/, "");
+  if (MONTH_NAMES[language] && MONTH_NAMES[language][key]) return MONTH_NAMES[language][key];
+  const other = DATE_LANGUAGES.find((code) => MONTH_NAMES[code][key]);
+  return other ? MONTH_NAMES[other][key] : null;
+};
+
+// Returns an ISO date (YYYY-MM-DD) for "Lundi 12 décembre 2025", "12. März 2025",
+// "12 de marzo de 2025", "March 12th, 2025", "12/03/2025", "2025-03-12", …
+const parseLocalizedDate = (value, language = "fr") => {
+  const allWeekdays = DATE_LANGUAGES.flatMap((code) => WEEKDAY_NAMES[code]);
+  const text = normalizeForMatch(value)
+    .replace(new RegExp(`\\b(?:${allWeekdays.join("|")})\\b[,.]?`, "g"), " ")
+    .replace(/\b(\d{1,2})(?:er|st|nd|rd|th|º|°)(?![a-z])/g, "$1")
+    .replace(/\b(?:de|del)\b/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  const iso = text.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+  if (iso) return toIsoDate(+iso[1], +iso[2], +iso[3]);
+
+  const numeric = text.match(/\b(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{4}|\d{2})\b/);
+  if (numeric) {
+    const first = +numeric[1];
+    const second = +numeric[2];
+    const monthFirst =
+      second > 12 || (first <= 12 && language === "en" && /^en-us/i.test(document.documentElement.lang || ""));
+    return monthFirst
+      ? toIsoDate(+numeric[3], first, second)
+      : toIsoDate(+numeric[3], second, first);
+  }
+
+  const dayMonth = text.match(/\b(\d{1,2})\.?\s+([a-z]+)\.?,?\s+(\d{4})\b/);
+  if (dayMonth) {
+    const month = lookupMonth(dayMonth[2], language);
+    if (month) return toIsoDate(+dayMonth[3], month, +dayMonth[1]);
+  }
+
+  const monthDay = text.match(/\b([a-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})\b/);
+  if (monthDay) {
+    const month = lookupMonth(monthDay[1], language);
+    if (month) return toIsoDate(+monthDay[3], month, +monthDay[2]);
+  }
+
+  return null;
+};
+
+// Days since 1970-01-01, computed on the calendar alone so no time zone can shift the day.
+// Returns null for anything that is not an existing YYYY-MM-DD date.
+const isoDateToDayNumber = (isoDate) => {
+  const match = toStringSafe(isoDate).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match || toIsoDate(+match[1], +match[2], +match[3]) !== isoDate) return null;
+  const month = +match[2];
+  const year = +match[1] - (month <= 2 ? 1 : 0);
+  const era = Math.floor(year / 400);
+  const yearOfEra = year - era * 400;
+  const dayOfYear = Math.floor((153 * (month > 2 ? month - 3 : month + 9) + 2) / 5) + +match[3] - 1;
+  const dayOfEra = yearOfEra * 365 + Math.floor(yearOfEra / 4) - Math.floor(yearOfEra / 100) + dayOfYear;
+  return era * 146097 + dayOfEra - 719468;
+};
+
+// The local calendar day, read from the local date parts rather than toISOString (UTC).
+const todayIsoDate = (now = new Date()) => toIsoDate(now.getFullYear(), now.getMonth() + 1, now.getDate());
+
+const MAX_RENTAL_DAYS = 90;
+
+// Returns [{ field, severity, message }] for the pickup/return dates (YYYY-MM-DD) and
+// times (HH:MM). "error" marks impossible ranges, "warning" suspicious ones.
+const checkBookingDates = (
+  { pickupDate, pickupTime, returnDate, returnTime },
+  { today = todayIsoDate(), maxDays = MAX_RENTAL_DAYS } = {}
+) => {
+  const problems = [];
+  const add = (field, severity, message) => problems.push({ field, severity, message });
+  const pickupDay = isoDateToDayNumber(pickupDate);
+  const returnDay = isoDateToDayNumber(returnDate);
+  const todayDay = isoDateToDayNumber(today);
+
+  if (pickupDate && pickupDay == null) add("pickupDate", "error", `Abholdatum ${pickupDate} existiert nicht.`);
+  if (returnDate && returnDay == null) add("returnDate", "error", `Rückgabedatum ${returnDate} existiert nicht.`);
+
+  if (pickupDay != null && todayDay != null) {
+    if (pickupDay < todayDay) add("pickupDate", "warning", "Abholdatum liegt in der Vergangenheit.");
+    if (pickupDay - todayDay > 365) {
+      add("pickupDate", "warning", "Abholdatum liegt mehr als ein Jahr in der Zukunft – Jahr prüfen.");
+    }
+  }
+  if (pickupDay != null && returnDay != null) {
+    const sameDayBackwards = returnDay === pickupDay && pickupTime && returnTime && returnTime <= pickupTime;
+    if (returnDay < pickupDay || sameDayBackwards) {
+      add("returnDate", "error", "Rückgabe liegt vor der Abholung.");
+    } else if (returnDay - pickupDay > maxDays) {
+      add("returnDate", "warning", `Mietdauer von ${returnDay - pickupDay} Tagen ist ungewöhnlich lang.`);
+    }
+  }
+  return problems;
+};
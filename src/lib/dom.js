@@ -0,0 +1,37 @@
+// DOM and timing helpers shared by all bookmarklets.
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// `label` (usually the selector) names the wait in the trace.
+const waitFor = async (predicate, { timeout = 4000, interval = 100, label = null } = {}) => {
+  const start = Date.now();
+  while (Date.now() - start < timeout) {
+    const result = await predicate();
+    if (result) {
+      if (label) traceEvent("wait", { label, timeout, waited: Date.now() - start, found: true });
+      return result;
+    }
+    await wait(interval);
+  }
+  if (label) traceEvent("wait", { label, timeout, waited: Date.now() - start, found: false });
+  return null;
+};
+
+const isVisible = (element) => {
+  if (!element) return false;
+  const style = window.getComputedStyle(element);
+  if (style.display === "none" || style.visibility === "hidden" || style.opacity === "0") {
+    return false;
+  }
+  const rect = element.getBoundingClientRect();
+  return rect.width > 0 && rect.height > 0;
+};
+
+const typeText = async (element, text) => {
+  const value = toStringSafe(text);
+  element.value = "";
+  element.dispatchEvent(new Event("input", { bubbles: true }));
+  element.value = value;
+  element.dispatchEvent(new Event("input", { bubbles: true }));
+  element.dispatchEvent(new Event("change", { bubbles: true }));
+};
@@ -0,0 +1,58 @@
+// Driver and customer profile: civility codes and per-field plausibility checks.
+
+// Words (lowercase, without accents) that stand for each stored civility code.
+const DRIVER_CIVILITY_WORDS = {
+  mr: ["m", "mr", "monsieur", "herr", "sr", "senor", "signor"],
+  mrs: ["mme", "mlle", "mrs", "ms", "madame", "mademoiselle", "frau", "sra", "senora", "signora"],
+};
+
+const DRIVER_CIVILITY_LABELS = { mr: "Herr", mrs: "Frau" };
+
+const normalizeCivility = (value) => {
+  const words = normalizeForMatch(value).split(/[^a-z]+/).filter(Boolean);
+  return (
+    Object.keys(DRIVER_CIVILITY_WORDS).find((code) =>
+      words.some((word) => DRIVER_CIVILITY_WORDS[code].includes(word))
+    ) || null
+  );
+};
+
+const DRIVER_NAME_PATTERN = /^\p{L}[\p{L}' .-]*$/u;
+
+// Adds whole years to an ISO date; 29 February falls back to the 28th.
+const addYearsToIsoDate = (isoDate, years) => {
+  const [year, month, day] = isoDate.split("-").map(Number);
+  return toIsoDate(year + years, month, day) || toIsoDate(year + years, month, day - 1);
+};
+
+// Each rule receives the trimmed value (dates as YYYY-MM-DD) and returns an error or null.
+const DRIVER_FIELD_RULES = {
+  firstName: (value) => (DRIVER_NAME_PATTERN.test(value) ? null : "Vorname enthält ungültige Zeichen."),
+  lastName: (value) => (DRIVER_NAME_PATTERN.test(value) ? null : "Nachname enthält ungültige Zeichen."),
+  email: (value) => (/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value) ? null : "E-Mail-Adresse ungültig."),
+  phone: (value, { driver }) => parsePhoneNumber(value, phoneCountryFromText(driver.country)).error || null,
+  civility: (value) => (DRIVER_CIVILITY_WORDS[value] ? null : "Anrede nicht erkannt (Herr/Frau)."),
+  postalCode: (value) => (/^[A-Z0-9][A-Z0-9 -]{2,9}$/i.test(value) ? null : "Postleitzahl ungültig."),
+  licenceNumber: (value) => (/^[A-Z0-9][A-Z0-9 -]{3,19}$/i.test(value) ? null : "Führerscheinnummer ungültig."),
+  birthDate: (value, { today }) => {
+    if (isoDateToDayNumber(value) == null) return "Geburtsdatum existiert nicht.";
+    if (addYearsToIsoDate(value, 18) > today) return "Fahrer wäre jünger als 18 Jahre.";
+    if (addYearsToIsoDate(value, 100) < today) return "Geburtsdatum liegt über 100 Jahre zurück – Jahr prüfen.";
+    return null;
+  },
+  licenceIssueDate: (value, { today, driver }) => {
+    if (isoDateToDayNumber(value) == null) return "Ausstellungsdatum existiert nicht.";
+    if (value > today) return "Führerschein wäre erst in der Zukunft ausgestellt.";
+    if (driver.birthDate && isoDateToDayNumber(driver.birthDate) != null && addYearsToIsoDate(driver.birthDate, 16) > value) {
+      return "Führerschein wäre vor dem 16. Geburtstag ausgestellt.";
+    }
+    return null;
+  },
+};
+
+// Returns a German error message when `value` is implausible for the driver field `key`.
+const validateDriverField = (key, value, { today = todayIsoDate(), driver = {} } = {}) => {
+  const text = normalizeWhitespace(value);
+  const rule = DRIVER_FIELD_RULES[key];
+  return text && rule ? rule(text, { today, driver }) : null;
+};
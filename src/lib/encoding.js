@@ -0,0 +1,97 @@
+// Repairs text whose encoding was mangled between BSP's pages and the browser.
+//
+// Two failure modes occur:
+//   * UTF-8 bytes decoded as Latin-1/Windows-1252 ("dÃ©cembre") – reversible.
+//   * Latin-1 bytes decoded as UTF-8 ("d�cembre") – the letter is lost, so
+//     words are restored from a dictionary when exactly one candidate fits.
+
+// Windows-1252 characters for the bytes 0x80–0x9F.
+const CP1252_BYTES = {
+  "€": 0x80, "‚": 0x82, "ƒ": 0x83, "„": 0x84, "…": 0x85, "†": 0x86,
+  "‡": 0x87, "ˆ": 0x88, "‰": 0x89, "Š": 0x8a, "‹": 0x8b, "Œ": 0x8c,
+  "Ž": 0x8e, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95,
+  "–": 0x96, "—": 0x97, "˜": 0x98, "™": 0x99, "š": 0x9a, "›": 0x9b,
+  "œ": 0x9c, "ž": 0x9e, "Ÿ": 0x9f,
+};
+
+// A UTF-8 lead byte followed by continuation bytes, as they look after a Windows-1252 decode.
+const MOJIBAKE_PATTERN =
+  /[Â-ô][\u0080-¿ŒœŠšŸŽžƒˆ˜–—‘-‚“-„†-•…‰‹›€™]+/g;
+
+// Accented words that show up in station names, addresses and driver names.
+const ENCODING_REPAIR_WORDS = [
+  "janvier", "février", "mars", "avril", "août", "décembre",
+  "aéroport", "aérogare", "gare", "côte", "d'azur", "île", "général", "château", "hôtel",
+  "hôpital", "église", "allée", "chaussée", "fréjus", "nîmes", "béziers", "sète", "orléans",
+  "besançon", "genève", "zürich", "méditerranée", "exupéry", "mérignac", "tillé", "étienne",
+  "châtelet", "défense", "créteil", "évry", "rhône", "périgueux", "montpellier", "nantes",
+  "françois", "françoise", "josé", "hélène", "chloé", "zoé", "noémie", "andré", "rené",
+  "gérard", "jérôme", "clément", "stéphane", "frédéric", "cédric", "sébastien", "benoît",
+  "jérémy", "mélanie", "céline", "aurélie", "valérie", "élodie", "émilie", "thérèse",
+  "müller", "straße", "münchen", "köln", "düsseldorf", "señor", "peña",
+];
+
+const repairMojibake = (value) => {
+  let text = toStringSafe(value);
+  // Twice, to undo text that went through the wrong decoder two times.
+  for (let pass = 0; pass < 2; pass += 1) {
+    const repaired = text.replace(MOJIBAKE_PATTERN, (sequence) => {
+      const bytes = Array.from(sequence, (char) => CP1252_BYTES[char] || char.charCodeAt(0));
+      const size = bytes[0] >= 0xf0 ? 4 : bytes[0] >= 0xe0 ? 3 : 2;
+      if (bytes.length < size) return sequence;
+      try {
+        const decoded = new TextDecoder("utf-8", { fatal: true }).decode(
+          new Uint8Array(bytes.slice(0, size))
+        );
+        return decoded + sequence.slice(size);
+      } catch (error) {
+        return sequence;
+      }
+    });
+    if (repaired === text) break;
+    text = repaired;
+  }
+  return text;
+};
+
+const matchCase = (word, template) => {
+  if (template === template.toUpperCase() && template !== template.toLowerCase()) {
+    return word.toUpperCase();
+  }
+  if (template[0] && template[0] === template[0].toUpperCase() && template[0] !== template[0].toLowerCase()) {
+    return word[0].toUpperCase() + word.slice(1);
+  }
+  return word;
+};
+
+const repairReplacementChars = (value, extraWords = []) => {
+  const text = toStringSafe(value);
+  if (!text.includes("�")) return text;
+  const dictionary = [...ENCODING_REPAIR_WORDS, ...extraWords].map((word) => word.toLowerCase());
+  return text.replace(/[^\s\-/,.()]*�[^\s\-/,.()]*/g, (token) => {
+    const pattern = new RegExp(
+      `^${token
+        .split("�")
+        .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+        .join(".")}$`,
+      "i"
+    );
+    const candidates = [...new Set(dictionary.filter((word) => pattern.test(word)))];
+    return candidates.length === 1 ? matchCase(candidates[0], token) : token;
+  });
+};
+
+const repairText = (value, extraWords = []) =>
+  repairReplacementChars(repairMojibake(value), extraWords);
+
+// Applies repairText to every string inside an object or array.
+const repairFields = (value, extraWords = []) => {
+  if (typeof value === "string") return repairText(value, extraWords);
+  if (Array.isArray(value)) return value.map((item) => repairFields(item, extraWords));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, repairFields(item, extraWords)])
+    );
+  }
+  return value;
+};
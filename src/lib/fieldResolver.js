@@ -0,0 +1,203 @@
+// Finds form fields by what they are called instead of where they sit.
+//
+// A mapping entry lists, per field key, the values that identify it:
+//   names        – tokens of the name or id attribute ("nom_conducteur" → nom, conducteur)
+//   autocomplete – autocomplete attribute values
+//   types        – input types
+//   labels       – words or phrases of the <label>, aria-label or placeholder text
+// Matching is case- and accent-insensitive.
+
+const DRIVER_FIELD_MAPPING = {
+  firstName: {
+    names: ["prenom", "firstname", "fname", "givenname", "vorname"],
+    autocomplete: ["given-name"],
+    labels: ["prenom", "first name", "vorname"],
+  },
+  lastName: {
+    names: ["nom", "lastname", "lname", "surname", "familyname", "nachname"],
+    autocomplete: ["family-name"],
+    labels: ["nom", "nom de famille", "last name", "surname", "nachname"],
+  },
+  email: {
+    names: ["email", "mail", "courriel"],
+    autocomplete: ["email"],
+    types: ["email"],
+    labels: ["e-mail", "email", "mail", "courriel"],
+  },
+  phone: {
+    names: ["tel", "telephone", "phone", "portable", "mobile", "gsm"],
+    autocomplete: ["tel", "tel-national"],
+    types: ["tel"],
+    labels: ["telephone", "tel", "portable", "mobile", "phone", "telefon"],
+  },
+  phoneDialCode: {
+    names: ["indicatif", "dialcode", "countrycode", "phoneprefix", "vorwahl"],
+    autocomplete: ["tel-country-code"],
+    labels: ["indicatif", "country code", "vorwahl", "landesvorwahl"],
+  },
+  flightNumber: {
+    names: ["vol", "flight", "numvol", "train"],
+    labels: ["vol", "numero de vol", "flight", "train", "flug"],
+  },
+  civility: {
+    names: ["civ", "civilite", "civility", "titre", "title", "anrede", "salutation"],
+    autocomplete: ["honorific-prefix"],
+    labels: ["civilite", "civility", "titre", "anrede"],
+  },
+  street: {
+    names: ["adresse", "adresse1", "address", "address1", "rue", "street", "strasse"],
+    autocomplete: ["street-address", "address-line1"],
+    labels: ["adresse", "address", "rue", "strasse"],
+  },
+  postalCode: {
+    names: ["cp", "codepostal", "zip", "zipcode", "postalcode", "plz"],
+    autocomplete: ["postal-code"],
+    labels: ["code postal", "cp", "postal code", "zip", "postleitzahl", "plz"],
+  },
+  city: {
+    names: ["ville", "city", "ort", "localite"],
+    autocomplete: ["address-level2"],
+    labels: ["ville", "city", "ort", "localite"],
+  },
+  country: {
+    names: ["pays", "country", "land"],
+    autocomplete: ["country", "country-name"],
+    labels: ["pays", "country", "land"],
+  },
+  birthDate: {
+    names: ["naissance", "datenaissance", "birthdate", "dateofbirth", "dob", "geburtsdatum"],
+    autocomplete: ["bday"],
+    labels: ["date de naissance", "ne le", "nee le", "date of birth", "geburtsdatum"],
+  },
+  licenceNumber: {
+    names: ["permis", "numpermis", "licence", "license", "licencenumber", "licensenumber"],
+    labels: ["permis", "numero de permis", "driving licence", "license number", "fuhrerschein"],
+  },
+  licenceIssueDate: {
+    names: ["datepermis", "dateobtention", "datedelivrance", "licencedate", "licensedate", "issuedate"],
+    labels: ["date du permis", "date d'obtention", "delivre le", "issue date", "ausgestellt am"],
+  },
+};
+
+const FIELD_CANDIDATE_SELECTOR = "input, select, textarea";
+
+const fieldAttributeTokens = (value) =>
+  toStringSafe(value)
+    .replace(/([a-z])([A-Z])/g, "$1 $2")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+const fieldLabelText = (element) => {
+  // element.labels covers both <label for="…"> and a wrapping <label>.
+  const texts = [
+    element.getAttribute("aria-label"),
+    element.getAttribute("placeholder"),
+    ...Array.from(element.labels || [], (label) => label.textContent),
+  ];
+  return normalizeForMatch(texts.filter(Boolean).join(" "));
+};
+
+// How well `element` fits one mapping entry; 0 means not at all.
+const scoreFieldCandidate = (element, entry) => {
+  const attributeTokens = [
+    ...fieldAttributeTokens(element.getAttribute("name")),
+    ...fieldAttributeTokens(element.id),
+  ];
+  const joined = attributeTokens.join("");
+  const names = entry.names || [];
+  let score = 0;
+  if (names.includes(joined)) score += 5;
+  else if (attributeTokens.some((token) => names.includes(token))) score += 4;
+
+  const autocomplete = toStringSafe(element.getAttribute("autocomplete")).toLowerCase().split(/\s+/);
+  if ((entry.autocomplete || []).some((value) => autocomplete.includes(value))) score += 4;
+
+  if ((entry.types || []).includes(toStringSafe(element.getAttribute("type")).toLowerCase())) score += 3;
+
+  const label = fieldLabelText(element);
+  if (label) {
+    const labelMatch = (entry.labels || []).find((phrase) => {
+      const escaped = normalizeForMatch(phrase).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      return new RegExp(`(?:^|[^a-z0-9])${escaped}(?![a-z0-9])`).test(label);
+    });
+    if (labelMatch) score += label === normalizeForMatch(labelMatch) ? 3 : 2;
+  }
+  return score;
+};
+
+// Returns { key: element | null } for every key of `mapping`. Each element is used
+// for at most one key; the strongest pairs are assigned first. Reading (rather than
+// filling) a form may pass includeInactive to consider disabled and unrendered fields.
+const resolveFormFields = (mapping, root = document, { includeInactive = false } = {}) => {
+  const candidates = Array.from(root.querySelectorAll(FIELD_CANDIDATE_SELECTOR)).filter(
+    (element) => element.type !== "hidden" && (includeInactive || (!element.disabled && isVisible(element)))
+  );
+  const pairs = [];
+  Object.keys(mapping).forEach((key) => {
+    candidates.forEach((element) => {
+      const score = scoreFieldCandidate(element, mapping[key]);
+      if (score > 0) pairs.push({ key, element, score });
+    });
+  });
+  pairs.sort((a, b) => b.score - a.score);
+
+  const resolved = Object.fromEntries(Object.keys(mapping).map((key) => [key, null]));
+  const used = new Set();
+  pairs.forEach(({ key, element }) => {
+    if (resolved[key] || used.has(element)) return;
+    resolved[key] = element;
+    used.add(element);
+  });
+  return resolved;
+};
+
+const radioGroup = (element) =>
+  Array.from(element.form ? element.form.elements : document.querySelectorAll("input")).filter(
+    (item) => item.type === "radio" && item.name === element.name
+  );
+
+const radioText = (radio) => [radio.value, ...Array.from(radio.labels || [], (label) => label.textContent)];
+
+// The value a user would read off the field: option text for selects, the checked
+// radio button's label for radio groups.
+const readFormFieldValue = (element) => {
+  if (element.tagName === "SELECT") {
+    const option = element.options[element.selectedIndex];
+    return option && option.value ? option.text : "";
+  }
+  if (element.type === "radio") {
+    const checked = radioGroup(element).find((item) => item.checked);
+    return checked ? radioText(checked).pop() : "";
+  }
+  return toStringSafe(element.value);
+};
+
+// Sets a text field, select or radio group and resolves with what the field shows
+// afterwards. `matches(text)` decides which option or radio button stands for the
+// value; by default its text or value must equal the value.
+const fillFormField = async (element, value, matches = null) => {
+  const isMatch = matches || ((text) => normalizeForMatch(text) === normalizeForMatch(value));
+  if (element.tagName === "SELECT") {
+    const option = Array.from(element.options).find((item) => isMatch(item.text) || isMatch(item.value));
+    if (!option) throw new Error(`Keine passende Auswahl für "${value}"`);
+    element.value = option.value;
+    element.dispatchEvent(new Event("change", { bubbles: true }));
+    return option.text;
+  }
+  if (element.type === "radio") {
+    const radio = radioGroup(element).find((item) => radioText(item).some(isMatch));
+    if (!radio) throw new Error(`Keine passende Auswahl für "${value}"`);
+    radio.click();
+    return radioText(radio).pop();
+  }
+  element.focus();
+  await wait(30);
+  if (typeof element.select === "function") {
+    element.select();
+    await wait(30);
+  }
+  await typeText(element, value);
+  element.blur();
+  return element.value;
+};
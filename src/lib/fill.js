@@ -0,0 +1,806 @@
+// The Fill flow: fills tarifs.asp or the driver form on book.asp from the capture.
+// The Fill bookmarklet and the BSP Assistant both run it.
+
+const runFill = async () => {
+  startTrace("fill");
+  checkForUpdate();
+
+  // Item properties in which the autocomplete data source may carry the numeric station code.
+  const STATION_ITEM_CODE_KEYS = ["stationCode", "code_agence", "code", "id", "value"];
+
+  const itemStationCode = (item) => {
+    if (!item || typeof item !== "object") return null;
+    for (const key of STATION_ITEM_CODE_KEYS) {
+      const value = normalizeText(item[key]);
+      if (/^\d+$/.test(value)) return value;
+    }
+    const labelCode = toStringSafe(item.label).match(/-\s*(\d+)\s*$/);
+    return labelCode ? labelCode[1] : null;
+  };
+
+  const getAutocompleteWidget = (input) => {
+    const $ = window.jQuery;
+    if (!$ || !$.fn || typeof $.fn.autocomplete !== "function") return null;
+    return $(input).data("ui-autocomplete") || $(input).data("autocomplete") || null;
+  };
+
+  const collectOptions = (itemElements) =>
+    itemElements.map((el) => {
+      const row = el.closest("li") || el;
+      const item = window.jQuery ? window.jQuery(row).data("ui-autocomplete-item") : null;
+      return {
+        el,
+        code: itemStationCode(item),
+        label: normalizeText(el.getAttribute("data-label") || el.textContent),
+      };
+    });
+
+  // Driver fields in the order they are filled on book.asp.
+  const DRIVER_FIELD_LABELS = {
+    civility: "Anrede",
+    firstName: "Vorname",
+    lastName: "Nachname",
+    email: "E-Mail",
+    phone: "Telefon",
+    street: "Straße",
+    postalCode: "PLZ",
+    city: "Ort",
+    country: "Land",
+    birthDate: "Geburtsdatum",
+    licenceNumber: "Führerscheinnummer",
+    licenceIssueDate: "Führerschein ausgestellt am",
+    flightNumber: "Flug-/Zugnummer",
+  };
+
+  const DRIVER_DATE_FIELDS = ["birthDate", "licenceIssueDate"];
+
+  const sanitizeDriver = (driver) => {
+    if (!driver || typeof driver !== "object") return null;
+    const sanitized = Object.fromEntries(
+      Object.keys(DRIVER_FIELD_LABELS).map((key) => [key, driver[key] == null ? null : String(driver[key])])
+    );
+    // An unrecognised flight/train entry still reaches the panel as the customer typed it.
+    const travelRaw = driver.travel && driver.travel.raw != null ? String(driver.travel.raw) : null;
+    if (sanitized.flightNumber == null) sanitized.flightNumber = travelRaw;
+    const hasContent = Object.values(sanitized).some((value) => value != null);
+    return hasContent ? { ...sanitized, travelRaw } : null;
+  };
+
+  const parseBooking = (payload) => {
+    try {
+      const { data: parsed, error } = validateBookingPayload(payload);
+      if (!parsed) return { data: null, error };
+
+      const normalizeStation = (station) => {
+        if (!station) return null;
+        const rawValue = normalizeText(station.raw);
+        if (!rawValue) return null;
+
+        const normalized = { raw: rawValue };
+
+        const stationCode = normalizeText(station.stationCode);
+        if (stationCode) {
+          normalized.stationCode = stationCode;
+        }
+
+        const iata = normalizeText(station.iata);
+        if (iata) {
+          normalized.iata = iata;
+        }
+
+        return normalized;
+      };
+
+      return {
+        data: {
+          ...parsed,
+          pickupStation: normalizeStation(parsed.pickupStation),
+          returnStation: normalizeStation(parsed.returnStation),
+          driver: sanitizeDriver(parsed.driver),
+        },
+        error: null,
+      };
+    } catch (error) {
+      return { data: null, error: "Gespeicherte Daten sind beschädigt." };
+    }
+  };
+
+  // Expired captures are deleted first. Encrypted entries stay locked until one is chosen.
+  const parseStorage = () => {
+    const entries = purgeExpiredBookings();
+    const results = entries.map((entry) =>
+      isEncryptedBooking(entry) ? { data: entry, error: null } : parseBooking(entry)
+    );
+    const bookings = results.filter((result) => result.data).map((result) => result.data);
+    return {
+      bookings,
+      error: bookings.length || !results.length ? null : results[0].error,
+    };
+  };
+
+  const unlockBooking = async (entry) => {
+    if (!isEncryptedBooking(entry)) return { data: entry, error: null };
+    const passphrase = await promptFromOverlay("Verschlüsselte Reservierung", {
+      label: "Passphrase",
+      type: "password",
+      submitLabel: "Entschlüsseln",
+    });
+    if (!passphrase) return { data: null, error: "Keine Passphrase eingegeben." };
+    try {
+      return parseBooking(await decryptBookingPayload(entry, passphrase));
+    } catch (error) {
+      return { data: null, error: error.message };
+    }
+  };
+
+  const describeBooking = (booking) => {
+    const formatDay = (isoDate) => {
+      const match = toStringSafe(isoDate).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+      return match ? `${match[3]}.${match[2]}.${match[1]}` : "?";
+    };
+    const reservationId = booking.source && booking.source.reservationId;
+    const driverName = booking.driver
+      ? normalizeWhitespace(`${toStringSafe(booking.driver.firstName)} ${toStringSafe(booking.driver.lastName)}`)
+      : "";
+    const capturedAt = booking.capturedAt ? new Date(booking.capturedAt) : null;
+    const capturedLabel = capturedAt && !Number.isNaN(capturedAt.getTime())
+      ? `erfasst ${String(capturedAt.getHours()).padStart(2, "0")}:${String(capturedAt.getMinutes()).padStart(2, "0")}`
+      : "";
+    if (isEncryptedBooking(booking)) {
+      return {
+        label: `${reservationId ? `Reservierung ${reservationId}` : "Reservierung ohne Nummer"} (verschlüsselt)`,
+        detail: capturedLabel,
+      };
+    }
+    return {
+      label: [reservationId ? `Reservierung ${reservationId}` : "Reservierung ohne Nummer", driverName]
+        .filter(Boolean)
+        .join(" – "),
+      detail: [
+        `${booking.pickupStation ? booking.pickupStation.raw : "?"} → ${booking.returnStation ? booking.returnStation.raw : "?"}`,
+        `${formatDay(booking.pickup && booking.pickup.date)} – ${formatDay(booking.return && booking.return.date)}`,
+        capturedLabel,
+      ]
+        .filter(Boolean)
+        .join(" · "),
+    };
+  };
+
+  const chooseBooking = async (bookings) => {
+    if (bookings.length <= 1) return bookings[0] || null;
+    const index = await pickFromOverlay(
+      "Welche Reservierung übernehmen?",
+      bookings.map(describeBooking)
+    );
+    traceEvent("choice", { prompt: "booking", offered: bookings.length, chosen: index });
+    return index == null ? null : bookings[index];
+  };
+
+  // Asks the widget's data source for `term` the way the widget itself would.
+  const querySourceItems = (widget, term) => {
+    const source = widget.options ? widget.options.source : null;
+    const request = new Promise((resolve) => {
+      if (Array.isArray(source)) {
+        resolve(source);
+      } else if (typeof source === "function") {
+        source.call(widget, { term }, resolve);
+      } else if (typeof source === "string") {
+        const separator = source.includes("?") ? "&" : "?";
+        fetch(`${source}${separator}term=${encodeURIComponent(term)}`, { credentials: "same-origin" })
+          .then((response) => response.json())
+          .then(resolve, () => resolve([]));
+      } else {
+        resolve([]);
+      }
+    });
+    return Promise.race([request, wait(3000).then(() => [])]).then((items) =>
+      (Array.isArray(items) ? items : []).map((item) =>
+        typeof item === "string" ? { label: item, value: item } : item
+      )
+    );
+  };
+
+  // Selects the station whose data source entry carries the captured station code, so
+  // branches with identical names cannot be mixed up. Returns false when that is not possible.
+  const selectByStationCode = async (input, station) => {
+    const stationCode = normalizeText(station?.stationCode);
+    const widget = getAutocompleteWidget(input);
+    if (!stationCode || !widget) return false;
+
+    for (const term of [stationCode, ...stationNameVariants(station)]) {
+      let items = [];
+      try {
+        items = await querySourceItems(widget, term);
+      } catch (error) {
+        console.warn("[BSP-Auto] Autocomplete-Datenquelle nicht lesbar:", error);
+        traceEvent("source", { term, error: error.message });
+        return false;
+      }
+      const item = items.find((entry) => itemStationCode(entry) === stationCode);
+      traceEvent("source", { term, items: items.length, matched: Boolean(item) });
+      if (!item) continue;
+
+      input.focus();
+      if (widget._trigger("select", null, { item }) !== false) {
+        input.value = toStringSafe(item.value != null ? item.value : item.label);
+      }
+      input.dispatchEvent(new Event("change", { bubbles: true }));
+      await wait(80);
+      return true;
+    }
+    return false;
+  };
+
+  // `field` names the station input in the tarifs selector profile.
+  const fillAutocomplete = async ({ field, station }) => {
+    const input = await waitFor(() => queryProfile("tarifs", field), { label: `tarifs.${field}` });
+    if (!input) {
+      throw new Error("Feld nicht gefunden");
+    }
+
+    const rawValue = toStringSafe(station?.raw);
+    if (!normalizeText(rawValue)) {
+      return false;
+    }
+
+    if (await selectByStationCode(input, station)) {
+      return true;
+    }
+
+    const iata = normalizeText(station?.iata);
+    const queries = [
+      ...stationNameVariants(station),
+      ...(iata && /aeroport/i.test(normalizeForMatch(rawValue)) ? [`Aeroport ${iata}`, iata] : []),
+    ];
+
+    input.focus();
+    await wait(30);
+
+    const findSuggestions = () => {
+      for (const list of queryProfileAll("tarifs", "autocompleteMenu")) {
+        if (!isVisible(list)) continue;
+        const found = queryProfileAll("tarifs", "autocompleteItem", list);
+        if (found.length) {
+          return found;
+        }
+      }
+      return null;
+    };
+
+    // jQuery UI keeps the previous query's list open until the next answer arrives and then
+    // renders fresh items, so a list still starting with the old first item is not ours yet.
+    const typeAndCollect = async (text) => {
+      if (!normalizeText(text)) return null;
+      const previous = findSuggestions();
+      input.focus();
+      await typeText(input, text);
+      await wait(150);
+      const collected = await waitFor(
+        () => {
+          const found = findSuggestions();
+          return found && (!previous || found[0] !== previous[0]) ? found : null;
+        },
+        { timeout: 1500, interval: 80, label: "tarifs.autocompleteMenu" }
+      );
+      return collected;
+    };
+
+    // Each query replaces the suggestion list, so the match is clicked while its list is shown.
+    let candidate = null;
+    let closest = null;
+    for (const query of queries) {
+      const items = await typeAndCollect(query);
+      if (!items) continue;
+      const { ranked, match } = rankStationCandidates(station, collectOptions(items));
+      traceEvent("suggestions", {
+        field,
+        query,
+        seen: ranked.slice(0, 10).map(({ option, score }) => ({ label: option.label, score: +score.toFixed(2) })),
+        chosen: match ? match.label : null,
+      });
+      if (ranked[0] && (!closest || ranked[0].score > closest.score)) {
+        closest = ranked[0];
+      }
+      if (match) {
+        candidate = match;
+        break;
+      }
+    }
+
+    if (!candidate) {
+      console.warn(
+        "[BSP-Auto] Keine sichere Stationszuordnung:",
+        rawValue,
+        closest ? `(bester Treffer "${closest.option.label}", ${closest.score.toFixed(2)})` : "(keine Vorschläge)"
+      );
+      return false;
+    }
+
+    const target = candidate.el;
+    if (typeof target.scrollIntoView === "function") {
+      target.scrollIntoView({ block: "nearest" });
+    }
+
+    ["mouseover", "mousedown", "mouseup", "click"].forEach((type) => {
+      target.dispatchEvent(new MouseEvent(type, { bubbles: true }));
+    });
+
+    await wait(80);
+    return true;
+  };
+
+  // Plain string formatting: a Date built from the ISO string could shift the day.
+  const formatIsoDateToFr = (isoDate) => {
+    if (isoDateToDayNumber(isoDate) == null) {
+      throw new Error("Ungültiges Datum");
+    }
+    const [year, month, day] = isoDate.split("-");
+    return `${day}/${month}/${year}`;
+  };
+
+  const setDate = async (field, isoDate) => {
+    if (!isoDate) return;
+    const input = await waitFor(() => queryProfile("tarifs", field), { label: `tarifs.${field}` });
+    if (!input) throw new Error("Datumfeld fehlt");
+    const formatted = formatIsoDateToFr(isoDate);
+    input.value = formatted;
+    input.dispatchEvent(new Event("input", { bubbles: true }));
+    input.dispatchEvent(new Event("change", { bubbles: true }));
+    return input.value;
+  };
+
+  const timeToMinutes = (value) => {
+    const match = toStringSafe(value).match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+    return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  };
+
+  const formatMinutes = (minutes) =>
+    `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+
+  // Picks the requested slot or the next later one (the last slot when none is later) and
+  // reports the nearest slots on both sides, so a rounded time can be corrected.
+  const setTime = async (field, timeValue) => {
+    if (!timeValue) return null;
+    const select = await waitFor(() => queryProfile("tarifs", field), { label: `tarifs.${field}` });
+    if (!select) throw new Error("Zeitfeld fehlt");
+    const targetMinutes = timeToMinutes(timeValue);
+
+    const sorted = Array.from(select.options)
+      .filter((option) => option.value && !option.disabled && !/ferm|closed|geschlossen/i.test(option.text))
+      .map((option) => ({ option, minutes: timeToMinutes(option.value) }))
+      .filter(({ minutes }) => minutes != null)
+      .sort((a, b) => a.minutes - b.minutes);
+    if (!sorted.length) {
+      throw new Error("Keine Zeitslots – Station an diesem Tag vermutlich geschlossen.");
+    }
+
+    const earlier = sorted.filter(({ minutes }) => minutes < targetMinutes).pop() || null;
+    const later = sorted.find(({ minutes }) => minutes > targetMinutes) || null;
+    const exact = sorted.find(({ minutes }) => minutes === targetMinutes) || null;
+    const chosen = exact || later || earlier;
+
+    select.value = chosen.option.value;
+    select.dispatchEvent(new Event("change", { bubbles: true }));
+    traceEvent("option", { field, requested: timeValue, chosen: select.value, slots: sorted.length });
+    return {
+      value: select.value,
+      exact: Boolean(exact),
+      difference: chosen.minutes - targetMinutes,
+      earlier: earlier ? earlier.option.value : null,
+      later: later ? later.option.value : null,
+    };
+  };
+
+  // Locates the driver inputs by tab order, starting at the first name field. Only used
+  // when the label-based resolver recognises none of the fields.
+  const resolveDriverFieldsByTabOrder = () => {
+    const firstField = queryProfile("book", "firstName");
+    if (!firstField) {
+      throw new Error("Feld book.firstName nicht gefunden");
+    }
+
+    const isTabCandidate = (element) => {
+      if (!element) return false;
+      if (element.disabled) return false;
+      if (element.tabIndex != null && element.tabIndex < 0) return false;
+      if (element.type === "hidden") return false;
+      return isVisible(element);
+    };
+
+    const collectTabStops = () => {
+      const base = firstField.form
+        ? Array.from(firstField.form.elements)
+        : Array.from(
+            document.querySelectorAll(
+              'input, select, textarea, button, a[href], [tabindex]:not([tabindex="-1"])'
+            )
+          );
+      const filtered = base.filter((element) => isTabCandidate(element));
+      if (!filtered.includes(firstField)) {
+        return [firstField, ...filtered];
+      }
+      return filtered;
+    };
+
+    const tabStops = collectTabStops();
+    const following = tabStops.slice(tabStops.indexOf(firstField) + 1);
+
+    return {
+      firstName: firstField,
+      lastName: following[0] || null,
+      email: following[1] || null,
+      phone: following[2] || null,
+      // The flight number field sits a few tab stops further down.
+      flightNumber: following.slice(3, 15).find((element) => matchesProfile("book", "flightNumber", element)) || null,
+    };
+  };
+
+  const resolveDriverFields = async () => {
+    const resolved = await waitFor(
+      () => {
+        const fields = resolveFormFields(DRIVER_FIELD_MAPPING);
+        return Object.values(fields).some(Boolean) ? fields : null;
+      },
+      { label: "driver fields" }
+    );
+    if (!resolved) console.warn("[BSP-Auto] Keine Fahrerfelder erkannt, nutze Tabulator-Reihenfolge.");
+    const fields = resolved || resolveDriverFieldsByTabOrder();
+    // Listed as pairs: the field keys are personal data keys and would be masked as object keys.
+    traceEvent("fields", {
+      byTabOrder: !resolved,
+      elements: Object.entries(fields).map(([field, element]) => ({ field, element: describeElement(element) })),
+    });
+    return fields;
+  };
+
+  // Dates and the civility code are shown and edited in readable form and converted
+  // back before they are validated and written.
+  const driverSteps = (driver, fields) =>
+    Object.keys(DRIVER_FIELD_LABELS).map((key) => {
+      const isDate = DRIVER_DATE_FIELDS.includes(key);
+      let captured = driver[key];
+      if (key === "flightNumber" && captured === "0") captured = null;
+      if (isDate && captured) captured = captured.split("-").reverse().join("/");
+      if (key === "civility" && captured) captured = DRIVER_CIVILITY_LABELS[captured] || captured;
+
+      // The phone field shows the number in the form it accepts (see formatPhoneForField).
+      const phoneFor = (value) => {
+        const phone = parsePhoneNumber(value, phoneCountryFromText(driver.country));
+        if (phone.error) throw new Error(phone.error);
+        const hasDialCodeField = Boolean(fields.phoneDialCode && phone.dial);
+        return { phone, hasDialCodeField, formatted: formatPhoneForField(phone, fields.phone, { hasDialCodeField }) };
+      };
+      let expected = null;
+      if (key === "phone" && captured && fields.phone) {
+        try {
+          expected = phoneFor(captured).formatted;
+        } catch (error) {
+          expected = null;
+        }
+      }
+
+      return {
+        key,
+        label: DRIVER_FIELD_LABELS[key],
+        captured,
+        expected,
+        run: async (value) => {
+          const element = fields[key];
+          if (!element) throw new Error("Feld nicht gefunden");
+
+          let normalized = normalizeWhitespace(value);
+          if (isDate) {
+            normalized = parseLocalizedDate(value);
+            if (!normalized) throw new Error("Datum nicht erkannt (TT/MM/JJJJ).");
+          }
+          if (key === "civility") normalized = normalizeCivility(value) || normalized;
+          const problem = validateDriverField(key, normalized, { driver });
+          if (problem) throw new Error(problem);
+
+          if (key === "flightNumber") {
+            const travel = parseTravelNumber(value);
+            if (!travel) throw new Error(`Keine Flug- oder Zugnummer erkannt in "${normalized}".`);
+            const shown = await fillFormField(element, travel.normalized);
+            const raw = driver.travelRaw;
+            return {
+              applied: shown,
+              message: raw && normalizeForMatch(raw) !== normalizeForMatch(shown) ? `Kundenangabe: "${raw}"` : null,
+            };
+          }
+          if (key === "phone") {
+            const { phone, hasDialCodeField, formatted } = phoneFor(value);
+            if (hasDialCodeField) {
+              await fillFormField(
+                fields.phoneDialCode,
+                phone.dial,
+                (text) => toStringSafe(text).replace(/\D/g, "") === phone.dial
+              );
+            }
+            return fillFormField(element, formatted);
+          }
+          if (key === "civility") {
+            const shown = await fillFormField(element, normalized, (text) => normalizeCivility(text) === normalized);
+            return normalizeCivility(shown) === normalized ? value : shown;
+          }
+          if (isDate) {
+            const shown = await fillFormField(
+              element,
+              element.type === "date" ? normalized : formatIsoDateToFr(normalized)
+            );
+            return element.type === "date" ? formatIsoDateToFr(shown) : shown;
+          }
+          return fillFormField(element, normalized);
+        },
+      };
+    });
+
+  const fillDriverDetails = async (driver, options) => {
+    const fields = await resolveDriverFields();
+    return runFieldSteps("Personaldaten", driverSteps(driver, fields), options);
+  };
+
+  // "always" starts the comparison right after filling; anything else offers it in the toast.
+  const COMPARE_SETTING_KEY = "bspAutoCompareTariffs";
+
+  // The search is submitted into a hidden same-origin iframe so this page (and the
+  // running bookmarklet) survives and results rendered by script can be awaited.
+  const submitSearchForResults = async () => {
+    const startInput = queryProfile("tarifs", "pickupStation");
+    const form = startInput ? startInput.form : null;
+    if (!form) throw new Error("Suchformular nicht gefunden");
+
+    const frame = document.createElement("iframe");
+    frame.name = `bsp-auto-compare-${Date.now()}`;
+    frame.style.display = "none";
+    document.body.appendChild(frame);
+
+    const previousTarget = form.getAttribute("target");
+    try {
+      const loaded = new Promise((resolve) => frame.addEventListener("load", resolve, { once: true }));
+      form.setAttribute("target", frame.name);
+      form.submit();
+      await Promise.race([loaded, wait(20000)]);
+      const offers = await waitFor(
+        () => {
+          const doc = frame.contentDocument;
+          if (!doc) return null;
+          const parsed = parseTariffOffers(doc);
+          return parsed.length ? parsed : null;
+        },
+        { timeout: 15000, interval: 300, label: "tariff results" }
+      );
+      return offers || [];
+    } finally {
+      if (previousTarget == null) form.removeAttribute("target");
+      else form.setAttribute("target", previousTarget);
+      frame.remove();
+    }
+  };
+
+  const compareTariffs = async (data) => {
+    showToast("Suche läuft …");
+    const offers = await submitSearchForResults();
+    if (!offers.length) {
+      showToast("Keine Tarife in den Suchergebnissen gefunden.", { error: true });
+      return;
+    }
+    const reservation = data.reservation || null;
+    const ranked = rankTariffOffers(offers, reservation);
+    showTariffComparison(ranked, reservation);
+    const better = ranked.filter((offer) => offer.flag).length;
+    showToast(
+      better
+        ? `${better} günstigere oder gleichwertige Angebote gefunden.`
+        : "Kein günstigeres Angebot gefunden."
+    );
+  };
+
+  // Each step's key is also its field in the tarifs selector profile.
+  const stationStep = (key, label, station) => ({
+    key,
+    label,
+    captured: station ? station.raw : null,
+    run: async (value) => {
+      // An edited name no longer belongs to the captured station code.
+      const target = station && value === station.raw ? station : { raw: value };
+      if (!(await fillAutocomplete({ field: key, station: target }))) {
+        throw new Error("Keine eindeutige Station gefunden – bitte Namen anpassen.");
+      }
+      return queryProfile("tarifs", key).value;
+    },
+  });
+
+  // `dates` holds the dates the form currently should show; a retried date is checked
+  // against the other one. `blockedMessage` keeps the captured date from being written.
+  const dateStep = (key, label, dates, blockedMessage) => {
+    const captured = dates[key] ? dates[key].split("-").reverse().join("/") : null;
+    let firstRun = true;
+    return {
+      key,
+      label,
+      captured,
+      run: async (value) => {
+        const blocked = firstRun && blockedMessage;
+        firstRun = false;
+        if (blocked) throw new Error(blockedMessage);
+        const parsed = parseLocalizedDate(value);
+        if (!parsed) throw new Error("Datum nicht erkannt (TT/MM/JJJJ).");
+        const errors = checkBookingDates({ ...dates, [key]: parsed }).filter(
+          (problem) => problem.severity === "error"
+        );
+        if (errors.length) throw new Error(errors.map((problem) => problem.message).join(" "));
+        const applied = await setDate(key, parsed);
+        dates[key] = parsed;
+        return applied;
+      },
+    };
+  };
+
+  // Impossible ranges keep both dates out of the form; suspicious ones need a confirmation.
+  const reviewBookingDates = async (dates) => {
+    const problems = checkBookingDates(dates);
+    const errors = problems.filter((problem) => problem.severity === "error");
+    if (errors.length) return errors.map((problem) => problem.message).join(" ");
+    if (!problems.length) return null;
+
+    const warning = problems.map((problem) => problem.message).join(" ");
+    const choice = await pickFromOverlay("Datumsangaben prüfen", [
+      { label: "Trotzdem eintragen", detail: warning },
+      { label: "Nicht eintragen", detail: "Daten anschließend im Statuspanel korrigieren." },
+    ]);
+    traceEvent("choice", { prompt: "dates", warning, chosen: choice === 0 ? "fill" : "skip" });
+    return choice === 0 ? null : warning;
+  };
+
+  const timeStep = (key, label, time) => ({
+    key,
+    label,
+    captured: time,
+    run: async (value) => {
+      if (timeToMinutes(value) == null) throw new Error("Uhrzeit nicht erkannt (HH:MM).");
+      const slot = await setTime(key, value);
+      if (slot.exact) return slot.value;
+      const sign = slot.difference > 0 ? "+" : "-";
+      return {
+        applied: slot.value,
+        message: `${value} nicht buchbar – ${slot.value} gewählt (${sign}${formatMinutes(Math.abs(slot.difference))} h).`,
+        choices: [slot.earlier, slot.later].filter(Boolean),
+      };
+    },
+  });
+
+  const runTariffFlow = async (data) => {
+    const dates = {
+      pickupDate: data.pickup?.date,
+      pickupTime: data.pickup?.time,
+      returnDate: data.return?.date,
+      returnTime: data.return?.time,
+    };
+    const dateProblem = await reviewBookingDates(dates);
+    const results = await runFieldSteps("Tarifsuche", [
+      stationStep("pickupStation", "Startstation", data.pickupStation),
+      stationStep("returnStation", "Rückgabestation", data.returnStation),
+      dateStep("pickupDate", "Abholdatum", dates, dateProblem),
+      dateStep("returnDate", "Rückgabedatum", dates, dateProblem),
+      timeStep("pickupTime", "Abholzeit", data.pickup?.time),
+      timeStep("returnTime", "Rückgabezeit", data.return?.time),
+    ]);
+    const count = (status) => Object.values(results).filter((result) => result.status === status).length;
+    const failed = count("failed");
+    const adjusted = count("adjusted");
+
+    if (!failed && localStorage.getItem(COMPARE_SETTING_KEY) === "always") {
+      await compareTariffs(data);
+      return;
+    }
+    const notes = [
+      failed ? `${failed} Feld(er) fehlgeschlagen` : "",
+      adjusted ? `${adjusted} Feld(er) angepasst` : "",
+    ].filter(Boolean);
+    showToast(notes.length ? `Formular ausgefüllt, ${notes.join(", ")}.` : "Formular ausgefüllt.", {
+      error: failed + adjusted > 0,
+      action: {
+        label: "Tarife vergleichen",
+        onClick: () =>
+          compareTariffs(data).catch((error) => {
+            console.error("[BSP-Auto] compareTariffs fehlgeschlagen:", error);
+            showToast(`Tarifvergleich fehlgeschlagen: ${error.message}`, { error: true });
+          }),
+      },
+    });
+  };
+
+  // Data handed over in the URL hash (or clipboard) belongs to this very tab, so it
+  // wins over the local history and is stored there for the follow-up pages.
+  const adoptHandoff = async (payload) => {
+    if (!payload) return { data: null, error: null };
+    const encrypted = isEncryptedBooking(payload);
+    if (encrypted && isBookingExpired(payload)) {
+      return { data: null, error: "Gespeicherte Daten sind veraltet. Bitte die Reservierung erneut kopieren." };
+    }
+    const result = encrypted ? { data: payload, error: null } : parseBooking(payload);
+    if (result.data) {
+      try {
+        saveBookingToHistory(encrypted ? payload : migrateBookingPayload(payload));
+      } catch (error) {
+        console.warn("[BSP-Auto] Übergabedaten konnten nicht gespeichert werden:", error);
+      }
+    }
+    return encrypted ? unlockBooking(payload) : result;
+  };
+
+  const loadBooking = async () => {
+    const fromHash = await adoptHandoff(readHandoffFromHash());
+    if (fromHash.data || fromHash.error) return fromHash;
+
+    const { bookings, error } = parseStorage();
+    if (bookings.length) {
+      const chosen = await chooseBooking(bookings);
+      return chosen ? unlockBooking(chosen) : { data: null, error: "Keine Reservierung ausgewählt." };
+    }
+
+    const fromClipboard = await adoptHandoff(await readHandoffFromClipboard());
+    if (fromClipboard.data || fromClipboard.error) return fromClipboard;
+    return { data: null, error };
+  };
+
+  // The trace is complete once the page is filled; retries in the status panel come later.
+  try {
+    const { data, error: storageError } = await loadBooking();
+    traceEvent("booking", {
+      found: Boolean(data),
+      schemaVersion: data ? data.schemaVersion : null,
+      error: scrubTraceMessage(storageError) || null,
+    });
+    if (!data) {
+      showToast(storageError || "Keine Daten.", { error: true });
+      return;
+    }
+
+    // Run from the BSP Assistant, this is the page it offered to fill.
+    const isBookingPage = detectBspPage().page === "book";
+
+    if (isBookingPage) {
+      if (lacksDriverData(data)) {
+        // Handed over with bspAutoHandoffTripOnly = "on", the capture holds the trip only.
+        showToast(
+          "Keine Fahrerinformationen übergeben: Bei bspAutoHandoffTripOnly bleiben sie auf der Reservierungsseite. Bitte von Hand eintragen.",
+          { error: true }
+        );
+        return;
+      }
+      try {
+        // book.asp is the last page that needs the capture, so the personal data goes as
+        // soon as every field is set, also when the last one was corrected in the panel.
+        const results = await fillDriverDetails(data.driver, {
+          onAllSet: () => {
+            removeBookingFromHistory(data);
+            showToast("Personaldaten ausgefüllt, gespeicherte Daten gelöscht.");
+          },
+        });
+        const failed = Object.values(results).filter((result) => result.status === "failed").length;
+        if (failed) {
+          showToast(`Personaldaten ausgefüllt, ${failed} Feld(er) fehlgeschlagen.`, { error: true });
+        }
+      } catch (error) {
+        const message = error && error.message ? error.message : "Unbekannter Fehler";
+        console.error("[BSP-Auto] fillDriverDetails fehlgeschlagen:", error);
+        traceEvent("error", { during: "fillDriverDetails", message: scrubTraceMessage(message) });
+        showToast(`Fehler beim Ausfüllen der Personaldaten: ${message}`, { error: true });
+      }
+      return;
+    }
+
+    try {
+      await runTariffFlow(data);
+    } catch (error) {
+      const message = error && error.message ? error.message : "Unbekannter Fehler";
+      console.error("[BSP-Auto] runTariffFlow fehlgeschlagen:", error);
+      traceEvent("error", { during: "runTariffFlow", message: scrubTraceMessage(message) });
+      showToast(`Fehler beim Ausfüllen des Formulars: ${message}`, { error: true });
+    }
+  } finally {
+    finishTrace();
+  }
+};
@@ -0,0 +1,92 @@
+// Cross-origin transport for reservation data.
+//
+// localStorage only reaches pages on the same origin. When Copy and Fill run
+// on different hosts the payload travels in the URL hash of the tab Copy
+// opens, or as JSON in the system clipboard. The hash stays in the browser
+// history and the clipboard in clipboard managers; bspAutoEncryptBookingData
+// protects the whole payload, bspAutoHandoffTripOnly leaves the personal data
+// behind instead (see reduceHandoffPayload).
+
+const HANDOFF_KEY = "bspAutoBookingData";
+
+const encodeHandoff = (payload) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+const decodeHandoff = (text) => {
+  try {
+    const base64 = toStringSafe(text).replace(/-/g, "+").replace(/_/g, "/");
+    const binary = atob(base64 + "===".slice((base64.length + 3) % 4));
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    return null;
+  }
+};
+
+// With bspAutoHandoffTripOnly = "on" the driver profile and the remarks stay behind; an
+// encrypted payload travels whole.
+const reduceHandoffPayload = (payload) => {
+  if (isEncryptedBooking(payload)) return payload;
+  const driver = Object.fromEntries(Object.keys(payload.driver || {}).map((key) => [key, null]));
+  return {
+    ...payload,
+    driver: { ...driver, travel: { raw: null, type: null, carrier: null, operator: null, number: null } },
+    reservation: { ...payload.reservation, remarks: null },
+  };
+};
+
+// A trip-only handoff arrives with every driver field blanked.
+const lacksDriverData = (payload) =>
+  !payload.driver || Object.entries(payload.driver).every(([key, value]) => key === "travel" || value == null);
+
+const buildHandoffUrl = (url, payload) =>
+  `${url.replace(/#.*$/, "")}#${HANDOFF_KEY}=${encodeHandoff(payload)}`;
+
+// Reads the payload from location.hash and removes it from the address bar.
+const readHandoffFromHash = () => {
+  const match = window.location.hash.match(new RegExp(`[#&]${HANDOFF_KEY}=([\\w-]+)`));
+  if (!match) return null;
+  const payload = decodeHandoff(match[1]);
+  try {
+    history.replaceState(null, "", window.location.pathname + window.location.search);
+  } catch (error) {
+    // Keeping the hash is harmless; the page still works.
+  }
+  return payload;
+};
+
+const writeHandoffToClipboard = async (payload) => {
+  if (!navigator.clipboard || !navigator.clipboard.writeText) return false;
+  try {
+    await navigator.clipboard.writeText(JSON.stringify({ [HANDOFF_KEY]: payload }));
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Empties the clipboard once it held a payload, so the next paste cannot leak it.
+const readHandoffFromClipboard = async () => {
+  if (!navigator.clipboard || !navigator.clipboard.readText) return null;
+  let payload = null;
+  try {
+    const parsed = JSON.parse(await navigator.clipboard.readText());
+    payload = parsed && typeof parsed === "object" && parsed[HANDOFF_KEY] ? parsed[HANDOFF_KEY] : null;
+  } catch (error) {
+    return null;
+  }
+  if (payload) {
+    try {
+      await navigator.clipboard.writeText("");
+    } catch (error) {
+      console.warn("[BSP-Auto] Zwischenablage konnte nicht geleert werden:", error);
+    }
+  }
+  return payload;
+};
@@ -0,0 +1,172 @@
+// Modal overlay shared by all bookmarklets.
+
+const OVERLAY_ID = "bsp-auto-overlay";
+
+const createOverlay = ({ title, onClose } = {}) => {
+  const existing = document.getElementById(OVERLAY_ID);
+  if (existing) {
+    existing.remove();
+  }
+
+  const root = document.createElement("div");
+  root.id = OVERLAY_ID;
+  root.style.position = "fixed";
+  root.style.inset = "0";
+  root.style.background = "rgba(15, 23, 42, 0.45)";
+  root.style.display = "flex";
+  root.style.alignItems = "center";
+  root.style.justifyContent = "center";
+  root.style.zIndex = "2147483646";
+  root.style.font = "14px/1.4 sans-serif";
+
+  const dialog = document.createElement("div");
+  dialog.setAttribute("role", "dialog");
+  dialog.setAttribute("aria-modal", "true");
+  dialog.style.background = "#fff";
+  dialog.style.color = "#0f172a";
+  dialog.style.borderRadius = "8px";
+  dialog.style.boxShadow = "0 12px 32px rgba(0, 0, 0, 0.25)";
+  dialog.style.padding = "16px";
+  dialog.style.minWidth = "320px";
+  dialog.style.maxWidth = "min(640px, 92vw)";
+  dialog.style.maxHeight = "80vh";
+  dialog.style.overflow = "auto";
+
+  const header = document.createElement("div");
+  header.style.display = "flex";
+  header.style.alignItems = "center";
+  header.style.justifyContent = "space-between";
+  header.style.gap = "12px";
+  header.style.marginBottom = "12px";
+
+  const heading = document.createElement("strong");
+  heading.textContent = title || "BSP Auto";
+  header.appendChild(heading);
+
+  const closeButton = document.createElement("button");
+  closeButton.type = "button";
+  closeButton.textContent = "×";
+  closeButton.setAttribute("aria-label", "Schließen");
+  closeButton.style.border = "none";
+  closeButton.style.background = "transparent";
+  closeButton.style.fontSize = "20px";
+  closeButton.style.cursor = "pointer";
+  header.appendChild(closeButton);
+
+  const body = document.createElement("div");
+  dialog.appendChild(header);
+  dialog.appendChild(body);
+  root.appendChild(dialog);
+
+  let closed = false;
+  const onKeydown = (event) => {
+    if (event.key === "Escape") close();
+  };
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    document.removeEventListener("keydown", onKeydown, true);
+    root.remove();
+    if (typeof onClose === "function") onClose();
+  };
+
+  closeButton.addEventListener("click", close);
+  root.addEventListener("click", (event) => {
+    if (event.target === root) close();
+  });
+  document.addEventListener("keydown", onKeydown, true);
+  document.body.appendChild(root);
+
+  return { root, body, close };
+};
+
+const createOverlayButton = (label, { primary = false } = {}) => {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = label;
+  button.style.display = "block";
+  button.style.width = "100%";
+  button.style.textAlign = "left";
+  button.style.padding = "8px 12px";
+  button.style.marginBottom = "8px";
+  button.style.border = "1px solid #cbd5e1";
+  button.style.borderRadius = "6px";
+  button.style.background = primary ? "#2563eb" : "#f8fafc";
+  button.style.color = primary ? "#fff" : "#0f172a";
+  button.style.font = "inherit";
+  button.style.cursor = "pointer";
+  return button;
+};
+
+// Resolves with the index of the chosen entry, or null when the overlay is dismissed.
+const pickFromOverlay = (title, choices) =>
+  new Promise((resolve) => {
+    let settled = false;
+    const settle = (value) => {
+      if (settled) return;
+      settled = true;
+      resolve(value);
+    };
+    const overlay = createOverlay({ title, onClose: () => settle(null) });
+    choices.forEach((choice, index) => {
+      const button = createOverlayButton("");
+      const label = document.createElement("div");
+      label.style.fontWeight = "600";
+      label.textContent = choice.label;
+      button.appendChild(label);
+      if (choice.detail) {
+        const detail = document.createElement("div");
+        detail.style.fontSize = "12px";
+        detail.style.color = "#64748b";
+        detail.textContent = choice.detail;
+        button.appendChild(detail);
+      }
+      button.addEventListener("click", () => {
+        settle(index);
+        overlay.close();
+      });
+      overlay.body.appendChild(button);
+    });
+    const first = overlay.body.querySelector("button");
+    if (first) first.focus();
+  });
+
+// Resolves with the entered text, or null when the overlay is dismissed.
+// `type: "password"` hides the input.
+const promptFromOverlay = (title, { label = "", type = "text", submitLabel = "OK" } = {}) =>
+  new Promise((resolve) => {
+    let settled = false;
+    const settle = (value) => {
+      if (settled) return;
+      settled = true;
+      resolve(value);
+    };
+    const overlay = createOverlay({ title, onClose: () => settle(null) });
+
+    const form = document.createElement("form");
+    const caption = document.createElement("label");
+    caption.style.display = "block";
+    caption.style.marginBottom = "8px";
+    caption.textContent = label;
+    const input = document.createElement("input");
+    input.type = type;
+    input.autocomplete = "off";
+    input.style.display = "block";
+    input.style.width = "100%";
+    input.style.boxSizing = "border-box";
+    input.style.padding = "6px 8px";
+    input.style.marginTop = "4px";
+    input.style.font = "inherit";
+    caption.appendChild(input);
+    const submit = createOverlayButton(submitLabel, { primary: true });
+    submit.type = "submit";
+    form.appendChild(caption);
+    form.appendChild(submit);
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      settle(input.value);
+      overlay.close();
+    });
+    overlay.body.appendChild(form);
+    input.focus();
+  });
@@ -0,0 +1,22 @@
+// Recognition of the BSP page a bookmarklet runs on.
+
+// The BSP Assistant recognises the page and then runs Fill in the same bundle; both ask
+// here, so Fill acts on the page the Assistant offered and never looks a second time.
+let detectedBspPage = null;
+
+// Returns { page: "resa" | "tarifs" | "book" | null, via: "path" | "markup" | null }.
+// The address decides first; the markup of the selector profiles recognises pages
+// reached under another address. The reservation page also has name inputs, so it
+// is checked before the driver form.
+const detectBspPage = () => {
+  if (detectedBspPage) return detectedBspPage;
+  const path = window.location.pathname;
+  const infos = queryProfile("resa", "infos");
+  if (/book\.asp/i.test(path)) detectedBspPage = { page: "book", via: "path" };
+  else if (/tarifs\.asp/i.test(path)) detectedBspPage = { page: "tarifs", via: "path" };
+  else if (infos && queryProfileAll("resa", "infoTitle", infos).length) detectedBspPage = { page: "resa", via: "markup" };
+  else if (queryProfile("tarifs", "pickupStation")) detectedBspPage = { page: "tarifs", via: "markup" };
+  else if (queryProfile("book", "firstName")) detectedBspPage = { page: "book", via: "markup" };
+  else detectedBspPage = { page: null, via: null };
+  return detectedBspPage;
+};
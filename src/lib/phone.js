@@ -0,0 +1,110 @@
+// Phone numbers in E.164 ("+33612345678") with country detection.
+//
+// Per country: the dialling code, whether national numbers start with a trunk
+// "0" that is dropped after the code, the allowed lengths of the remaining
+// national number and names (lowercase, without accents) the country appears under.
+
+const PHONE_COUNTRIES = [
+  { iso: "FR", dial: "33", trunk: true, lengths: [9], names: ["france", "frankreich", "francia"] },
+  { iso: "DE", dial: "49", trunk: true, lengths: [6, 7, 8, 9, 10, 11], names: ["allemagne", "deutschland", "germany", "alemania", "germania"] },
+  { iso: "BE", dial: "32", trunk: true, lengths: [8, 9], names: ["belgique", "belgien", "belgium", "belgica", "belgio"] },
+  { iso: "CH", dial: "41", trunk: true, lengths: [9], names: ["suisse", "schweiz", "switzerland", "suiza", "svizzera"] },
+  { iso: "LU", dial: "352", trunk: false, lengths: [6, 7, 8, 9, 10, 11], names: ["luxembourg", "luxemburg", "luxemburgo", "lussemburgo"] },
+  { iso: "MC", dial: "377", trunk: false, lengths: [8, 9], names: ["monaco"] },
+  { iso: "NL", dial: "31", trunk: true, lengths: [9], names: ["pays-bas", "pays bas", "niederlande", "netherlands", "holland", "paises bajos", "paesi bassi"] },
+  { iso: "AT", dial: "43", trunk: true, lengths: [7, 8, 9, 10, 11, 12, 13], names: ["autriche", "osterreich", "austria"] },
+  { iso: "GB", dial: "44", trunk: true, lengths: [9, 10], names: ["royaume-uni", "royaume uni", "grossbritannien", "united kingdom", "great britain", "england", "reino unido", "regno unito"] },
+  { iso: "IE", dial: "353", trunk: true, lengths: [7, 8, 9], names: ["irlande", "irland", "ireland", "irlanda"] },
+  { iso: "ES", dial: "34", trunk: false, lengths: [9], names: ["espagne", "spanien", "spain", "espana", "spagna"] },
+  { iso: "PT", dial: "351", trunk: false, lengths: [9], names: ["portugal", "portogallo"] },
+  // Italian landlines keep their leading 0 after the country code.
+  { iso: "IT", dial: "39", trunk: false, lengths: [6, 7, 8, 9, 10, 11], names: ["italie", "italien", "italy", "italia"] },
+  { iso: "US", dial: "1", trunk: false, lengths: [10], names: ["etats-unis", "etats unis", "usa", "vereinigte staaten", "united states", "estados unidos", "stati uniti"] },
+];
+
+const PHONE_DEFAULT_COUNTRY = "FR";
+
+// Maps a country name or ISO code ("France", "Deutschland", "FR") to its ISO code.
+const phoneCountryFromText = (value) => {
+  const text = normalizeForMatch(value);
+  if (!text) return null;
+  const country = PHONE_COUNTRIES.find(
+    (entry) => entry.iso.toLowerCase() === text || entry.names.includes(text)
+  );
+  return country ? country.iso : null;
+};
+
+// Returns { country, dial, nationalNumber, e164 } or { error } with a German message.
+// Numbers without "+" or "00" belong to `defaultCountry` (ISO code).
+const parsePhoneNumber = (value, defaultCountry = PHONE_DEFAULT_COUNTRY) => {
+  const text = normalizeWhitespace(value);
+  if (!text) return { error: "Telefonnummer fehlt." };
+  if (/[^\d\s+()./-]/.test(text) || /.\+/.test(text)) {
+    return { error: "Telefonnummer enthält ungültige Zeichen." };
+  }
+
+  // "+33 (0)6 …" repeats the trunk prefix in brackets.
+  const digits = text.replace(/\(0\)/g, "").replace(/\D/g, "");
+  const international = text.startsWith("+") || digits.startsWith("00");
+  let country;
+  let rest;
+  if (international) {
+    const withCode = text.startsWith("+") ? digits : digits.slice(2);
+    country = PHONE_COUNTRIES.filter((entry) => withCode.startsWith(entry.dial)).sort(
+      (a, b) => b.dial.length - a.dial.length
+    )[0];
+    if (!country) {
+      return withCode.length >= 8 && withCode.length <= 15 && withCode[0] !== "0"
+        ? { country: null, dial: null, nationalNumber: null, e164: `+${withCode}` }
+        : { error: "Ländervorwahl unbekannt." };
+    }
+    rest = withCode.slice(country.dial.length);
+  } else {
+    country = PHONE_COUNTRIES.find((entry) => entry.iso === defaultCountry) ||
+      PHONE_COUNTRIES.find((entry) => entry.iso === PHONE_DEFAULT_COUNTRY);
+    if (country.trunk && !digits.startsWith("0")) {
+      return { error: `Nationale Nummer ohne führende 0 – Ländervorwahl für ${country.iso} angeben.` };
+    }
+    rest = digits;
+  }
+  if (country.trunk && rest.startsWith("0")) rest = rest.slice(1);
+
+  if (!country.lengths.includes(rest.length) || (country.trunk && rest.startsWith("0"))) {
+    return { error: `Telefonnummer hat für ${country.iso} (+${country.dial}) nicht die richtige Länge.` };
+  }
+  return { country: country.iso, dial: country.dial, nationalNumber: rest, e164: `+${country.dial}${rest}` };
+};
+
+// The national form with trunk prefix, e.g. "0612345678" for +33612345678.
+const formatPhoneNational = (phone) => {
+  const country = PHONE_COUNTRIES.find((entry) => entry.iso === phone.country);
+  if (!country) return phone.e164;
+  return `${country.trunk ? "0" : ""}${phone.nationalNumber}`;
+};
+
+// Picks the form `element` accepts: its pattern and maxlength must allow the value;
+// a national hint (autocomplete="tel-national", a placeholder starting with 0) or a
+// separate dialling code field puts the national form first, otherwise E.164 leads.
+const formatPhoneForField = (phone, element, { hasDialCodeField = false } = {}) => {
+  const placeholder = toStringSafe(element && element.getAttribute("placeholder")).trim();
+  const autocomplete = toStringSafe(element && element.getAttribute("autocomplete")).toLowerCase();
+  const prefersNational =
+    hasDialCodeField || autocomplete.includes("tel-national") || /^0[1-9]/.test(placeholder);
+  const national = formatPhoneNational(phone);
+  const candidates = prefersNational
+    ? [national, phone.e164, `00${phone.e164.slice(1)}`]
+    : [phone.e164, `00${phone.e164.slice(1)}`, national];
+
+  const pattern = toStringSafe(element && element.getAttribute("pattern"));
+  const maxLength = element && element.maxLength > 0 ? element.maxLength : Infinity;
+  const accepted = candidates.find((candidate) => {
+    if (candidate.length > maxLength) return false;
+    if (!pattern) return true;
+    try {
+      return new RegExp(`^(?:${pattern})$`, "u").test(candidate);
+    } catch (error) {
+      return true;
+    }
+  });
+  return accepted || candidates[0];
+};
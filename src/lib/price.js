@@ -0,0 +1,26 @@
+// Price parsing shared by all bookmarklets.
+
+const CURRENCY_PATTERNS = [
+  { currency: "EUR", pattern: /€|\bEUR\b|\beuros?\b/i },
+  { currency: "GBP", pattern: /£|\bGBP\b/i },
+  { currency: "CHF", pattern: /\bCHF\b/i },
+  { currency: "USD", pattern: /\$|\bUSD\b/i },
+];
+
+// Understands "1 234,56 €", "EUR 1,234.56", "1.234,56" and "345 €".
+const parsePrice = (value) => {
+  const text = normalizeWhitespace(value);
+  const match = text.match(/\d[\d\s.,']*\d|\d/);
+  if (!match) return null;
+
+  const digits = match[0].replace(/[\s']/g, "");
+  const lastSeparator = Math.max(digits.lastIndexOf(","), digits.lastIndexOf("."));
+  const decimals = lastSeparator === -1 ? "" : digits.slice(lastSeparator + 1);
+  const hasDecimals = lastSeparator !== -1 && decimals.length > 0 && decimals.length <= 2;
+  const integerPart = (hasDecimals ? digits.slice(0, lastSeparator) : digits).replace(/[.,]/g, "");
+  const amount = parseFloat(hasDecimals ? `${integerPart}.${decimals}` : integerPart);
+  if (!Number.isFinite(amount)) return null;
+
+  const found = CURRENCY_PATTERNS.find(({ pattern }) => pattern.test(text));
+  return { amount, currency: found ? found.currency : null, raw: text };
+};
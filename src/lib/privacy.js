@@ -0,0 +1,114 @@
+// Protection of the driver's personal data: redacted logging and optional encryption.
+//
+// Settings live in localStorage of the page a bookmarklet runs on:
+//   bspAutoDebug = "on"              – log personal data unredacted and download a trace (see trace.js)
+//   bspAutoEncryptBookingData = "on" – Copy encrypts captures with a passphrase
+//   bspAutoHandoffTripOnly = "on"    – an unencrypted handoff to another origin carries the trip only
+
+const DEBUG_SETTING_KEY = "bspAutoDebug";
+
+const ENCRYPTION_SETTING_KEY = "bspAutoEncryptBookingData";
+
+const TRIP_ONLY_HANDOFF_SETTING_KEY = "bspAutoHandoffTripOnly";
+
+// Keys whose values identify the customer, wherever they appear in a payload. A flight
+// or train number together with the dates points to one traveller, so it counts too.
+const PERSONAL_DATA_KEYS = [
+  "firstName", "lastName", "phone", "email", "street", "postalCode", "city",
+  "birthDate", "licenceNumber", "licenceIssueDate", "remarks", "flightNumber", "travel",
+];
+
+const readSetting = (key) => {
+  try {
+    return localStorage.getItem(key);
+  } catch (error) {
+    return null;
+  }
+};
+
+const isDebugLogging = () => readSetting(DEBUG_SETTING_KEY) === "on";
+
+const isEncryptionEnabled = () => readSetting(ENCRYPTION_SETTING_KEY) === "on";
+
+const isTripOnlyHandoff = () => readSetting(TRIP_ONLY_HANDOFF_SETTING_KEY) === "on";
+
+// Copy of `value` with personal data masked.
+const maskPersonalData = (value) => {
+  const redact = (item) => {
+    if (Array.isArray(item)) return item.map(redact);
+    if (!item || typeof item !== "object") return item;
+    return Object.fromEntries(
+      Object.entries(item).map(([key, entry]) => [
+        key,
+        PERSONAL_DATA_KEYS.includes(key) && entry != null ? "[redacted]" : redact(entry),
+      ])
+    );
+  };
+  return redact(value);
+};
+
+// Console output is masked unless debug logging is on.
+const redactPersonalData = (value) => (isDebugLogging() ? value : maskPersonalData(value));
+
+const BOOKING_ENCRYPTION_ITERATIONS = 250000;
+
+const bytesToBase64 = (bytes) => btoa(Array.from(bytes, (byte) => String.fromCharCode(byte)).join(""));
+
+const base64ToBytes = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+const isEncryptedBooking = (entry) =>
+  Boolean(entry && entry.encrypted && typeof entry.encrypted.data === "string");
+
+const deriveBookingKey = async (passphrase, salt, iterations) => {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+};
+
+// AES-GCM with a PBKDF2 key. schemaVersion, capturedAt and the reservation number stay
+// readable so expiry and the history work without the passphrase.
+const encryptBookingPayload = async (payload, passphrase) => {
+  if (!window.crypto || !crypto.subtle) throw new Error("WebCrypto is not available on this page");
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveBookingKey(passphrase, salt, BOOKING_ENCRYPTION_ITERATIONS);
+  const data = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(payload))
+  );
+  return {
+    schemaVersion: payload.schemaVersion,
+    capturedAt: payload.capturedAt,
+    source: { url: null, reservationId: payload.source ? payload.source.reservationId : null },
+    encrypted: {
+      iterations: BOOKING_ENCRYPTION_ITERATIONS,
+      salt: bytesToBase64(salt),
+      iv: bytesToBase64(iv),
+      data: bytesToBase64(new Uint8Array(data)),
+    },
+  };
+};
+
+const decryptBookingPayload = async (entry, passphrase) => {
+  if (!window.crypto || !crypto.subtle) throw new Error("WebCrypto ist auf dieser Seite nicht verfügbar.");
+  try {
+    const { iterations, salt, iv, data } = entry.encrypted;
+    const key = await deriveBookingKey(passphrase, base64ToBytes(salt), iterations);
+    const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: base64ToBytes(iv) }, key, base64ToBytes(data));
+    return JSON.parse(new TextDecoder().decode(plain));
+  } catch (error) {
+    throw new Error("Passphrase falsch oder Daten beschädigt.");
+  }
+};
@@ -0,0 +1,31 @@
+// Lookups in the per-page selector profiles of src/profiles/.
+//
+// build.js declares SELECTOR_PROFILES with the profiles of every page named in a
+// queryProfile/queryProfileAll/matchesProfile call, so the page name must be written
+// out as a string. Each field lists alternative selectors, tried in order.
+
+const profileSelectors = (page, field) => {
+  const selectors = SELECTOR_PROFILES[page] && SELECTOR_PROFILES[page][field];
+  if (!selectors) throw new Error(`Selektor-Profil ${page}.${field} fehlt`);
+  return selectors;
+};
+
+const queryProfile = (page, field, root = document) => {
+  for (const selector of profileSelectors(page, field)) {
+    const element = root.querySelector(selector);
+    if (element) return element;
+  }
+  return null;
+};
+
+// All matches of the first alternative that matches at all.
+const queryProfileAll = (page, field, root = document) => {
+  for (const selector of profileSelectors(page, field)) {
+    const elements = Array.from(root.querySelectorAll(selector));
+    if (elements.length) return elements;
+  }
+  return [];
+};
+
+const matchesProfile = (page, field, element) =>
+  Boolean(element) && profileSelectors(page, field).some((selector) => element.matches(selector));
@@ -0,0 +1,126 @@
+// Station matching for the tarif page autocomplete.
+//
+// Reservation pages and the tarif page name the same branch differently
+// ("Paris Gare de Lyon" vs "Paris - Gare de Lyon TGV"), so suggestions are
+// scored instead of taking the first one that contains the typed text.
+
+// Known spellings of the same station. Add a row whenever Copy and the tarif
+// page disagree; every name of a row is tried and scored like the original.
+const STATION_ALIASES = [
+  { iata: "CDG", names: ["Paris Charles de Gaulle", "Roissy Charles de Gaulle", "Paris Aéroport Roissy CDG"] },
+  { iata: "ORY", names: ["Paris Orly", "Orly Aéroport", "Paris Aéroport Orly"] },
+  { iata: "BVA", names: ["Beauvais Tillé", "Paris Beauvais"] },
+  { iata: "NCE", names: ["Nice Côte d'Azur", "Nice Aéroport"] },
+  { iata: "LYS", names: ["Lyon Saint-Exupéry", "Lyon Aéroport"] },
+  { iata: "MRS", names: ["Marseille Provence", "Marseille Marignane", "Marseille Aéroport"] },
+  { iata: "BOD", names: ["Bordeaux Mérignac", "Bordeaux Aéroport"] },
+  { iata: "TLS", names: ["Toulouse Blagnac", "Toulouse Aéroport"] },
+  { iata: "BSL", names: ["Bâle-Mulhouse", "EuroAirport Basel Mulhouse", "Mulhouse Aéroport"] },
+  { iata: "GVA", names: ["Genève Aéroport", "Geneva Airport", "Genf Flughafen"] },
+  { names: ["Paris Gare de Lyon", "Paris - Gare de Lyon TGV"] },
+  { names: ["Paris Gare Montparnasse", "Paris Montparnasse"] },
+  { names: ["Paris Gare du Nord", "Paris Nord"] },
+  { names: ["Lyon Part-Dieu", "Lyon Gare Part Dieu"] },
+  { names: ["Marseille Saint-Charles", "Marseille Gare St Charles"] },
+];
+
+// Words with the same meaning in station names; the value is the canonical form.
+const STATION_TOKEN_SYNONYMS = {
+  st: "saint",
+  ste: "sainte",
+  apt: "aeroport",
+  aeroports: "aeroport",
+  airport: "aeroport",
+  flughafen: "aeroport",
+  aeropuerto: "aeroport",
+  aeroporto: "aeroport",
+  bahnhof: "gare",
+  station: "gare",
+  hbf: "gare",
+  intl: "international",
+};
+
+const STATION_STOP_WORDS = ["de", "du", "des", "la", "le", "les", "l", "d", "et", "the", "of"];
+
+// Suggestions scoring below this are never selected automatically.
+const STATION_MATCH_THRESHOLD = 0.75;
+
+const stationTokens = (value) =>
+  normalizeForMatch(value)
+    .split(/[^a-z0-9]+/)
+    .map((token) => STATION_TOKEN_SYNONYMS[token] || token)
+    .filter((token) => token && !STATION_STOP_WORDS.includes(token));
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Tolerates one typo in words of four or more letters and two from eight on.
+const tokensMatch = (a, b) => {
+  if (a === b) return true;
+  if (Math.min(a.length, b.length) < 4 || /\d/.test(a + b)) return false;
+  return editDistance(a, b) <= (Math.min(a.length, b.length) >= 8 ? 2 : 1);
+};
+
+// Every name the station may appear under: the captured label plus its alias rows.
+const stationNameVariants = (station) => {
+  const raw = toStringSafe(station && station.raw);
+  const iata = toStringSafe(station && station.iata).toUpperCase();
+  const rawKey = stationTokens(raw).join(" ");
+  const aliases = STATION_ALIASES.filter(
+    (row) =>
+      (iata && row.iata === iata) ||
+      row.names.some((name) => stationTokens(name).join(" ") === rawKey)
+  ).flatMap((row) => row.names);
+  return [...new Set([raw, ...aliases].filter((name) => normalizeText(name)))];
+};
+
+// Returns a confidence between 0 and 1 that `label` names the given station.
+// `code` is the station code the suggestion carries, when the widget exposes one.
+const scoreStationCandidate = (station, label, code = null) => {
+  const labelTokens = stationTokens(label);
+  if (!labelTokens.length) return 0;
+
+  const stationCode = toStringSafe(station && station.stationCode);
+  if (stationCode && code) return code === stationCode ? 1 : 0;
+  if (stationCode && labelTokens.includes(stationCode)) return 1;
+
+  const iata = toStringSafe(station && station.iata).toLowerCase();
+  const iataMatches = Boolean(iata) && labelTokens.includes(iata);
+
+  const nameScores = stationNameVariants(station).map((name) => {
+    const nameTokens = stationTokens(name);
+    if (!nameTokens.length) return 0;
+    const shared = nameTokens.filter((token) => labelTokens.some((other) => tokensMatch(token, other))).length;
+    const overlap = (2 * shared) / (nameTokens.length + labelTokens.length);
+    const joinedName = nameTokens.join(" ");
+    const joinedLabel = labelTokens.join(" ");
+    const similarity =
+      1 - editDistance(joinedName, joinedLabel) / Math.max(joinedName.length, joinedLabel.length);
+    return 0.7 * overlap + 0.3 * similarity;
+  });
+  const nameScore = Math.max(0, ...nameScores);
+
+  return iataMatches ? Math.max(nameScore, 0.9) : nameScore;
+};
+
+// Picks the best scoring option ({ label, code, … }); `match` is null below the threshold.
+const rankStationCandidates = (station, options, threshold = STATION_MATCH_THRESHOLD) => {
+  const ranked = options
+    .map((option) => ({ option, score: scoreStationCandidate(station, option.label, option.code) }))
+    .sort((a, b) => b.score - a.score);
+  const best = ranked[0] || null;
+  return { ranked, match: best && best.score >= threshold ? best.option : null };
+};
@@ -0,0 +1,211 @@
+// Side panel listing every field a fill bookmarklet touched.
+//
+// A field step is { key, label, captured, expected, run }. `run(value)` sets the
+// field from the given text and resolves with the value the page now shows, or
+// with { applied, message, choices } to explain a deviation and offer other
+// values; it throws when the field cannot be set. `expected` is the form in
+// which the page should show `captured` (defaults to `captured`).
+
+const STATUS_PANEL_ID = "bsp-auto-status-panel";
+
+const FIELD_STATUS_STYLES = {
+  pending: { label: "läuft …", color: "#64748b" },
+  ok: { label: "OK", color: "#16a34a" },
+  adjusted: { label: "angepasst", color: "#d97706" },
+  failed: { label: "fehlgeschlagen", color: "#dc2626" },
+  skipped: { label: "nicht erfasst", color: "#94a3b8" },
+};
+
+const createStatusPanel = (title) => {
+  const existing = document.getElementById(STATUS_PANEL_ID);
+  if (existing) {
+    existing.remove();
+  }
+
+  const root = document.createElement("div");
+  root.id = STATUS_PANEL_ID;
+  root.style.position = "fixed";
+  root.style.top = "16px";
+  root.style.right = "16px";
+  root.style.width = "360px";
+  root.style.maxHeight = "calc(100vh - 32px)";
+  root.style.overflow = "auto";
+  root.style.background = "#fff";
+  root.style.color = "#0f172a";
+  root.style.border = "1px solid #cbd5e1";
+  root.style.borderRadius = "8px";
+  root.style.boxShadow = "0 12px 32px rgba(0, 0, 0, 0.2)";
+  root.style.padding = "12px";
+  root.style.font = "13px/1.4 sans-serif";
+  root.style.zIndex = "2147483645";
+
+  const header = document.createElement("div");
+  header.style.display = "flex";
+  header.style.justifyContent = "space-between";
+  header.style.alignItems = "center";
+  header.style.marginBottom = "8px";
+
+  const heading = document.createElement("strong");
+  heading.textContent = title;
+  header.appendChild(heading);
+
+  const closeButton = document.createElement("button");
+  closeButton.type = "button";
+  closeButton.textContent = "×";
+  closeButton.setAttribute("aria-label", "Schließen");
+  closeButton.style.border = "none";
+  closeButton.style.background = "transparent";
+  closeButton.style.fontSize = "18px";
+  closeButton.style.cursor = "pointer";
+  closeButton.addEventListener("click", () => root.remove());
+  header.appendChild(closeButton);
+
+  const list = document.createElement("div");
+  root.appendChild(header);
+  root.appendChild(list);
+  document.body.appendChild(root);
+
+  const rows = {};
+  const row = (key) => {
+    if (!rows[key]) {
+      rows[key] = document.createElement("div");
+      rows[key].style.padding = "6px 0";
+      rows[key].style.borderTop = "1px solid #e2e8f0";
+      list.appendChild(rows[key]);
+    }
+    return rows[key];
+  };
+
+  return { root, row };
+};
+
+// Runs one step and classifies the outcome as ok, adjusted or failed.
+const runFieldStep = async (step, value) => {
+  try {
+    const outcome = await step.run(value);
+    const details = outcome && typeof outcome === "object" ? outcome : { applied: outcome };
+    const applied = toStringSafe(details.applied);
+    const expected = value === step.captured && step.expected != null ? step.expected : value;
+    if (!normalizeText(applied)) {
+      return { status: "failed", applied: null, message: "Feld ist leer geblieben" };
+    }
+    const status = normalizeForMatch(applied) === normalizeForMatch(expected) ? "ok" : "adjusted";
+    return { status, applied, message: details.message || null, choices: details.choices || [] };
+  } catch (error) {
+    return { status: "failed", applied: null, message: error && error.message ? error.message : String(error) };
+  }
+};
+
+const renderFieldRow = (container, step, result, onRetry) => {
+  const style = FIELD_STATUS_STYLES[result.status];
+  container.textContent = "";
+
+  const title = document.createElement("div");
+  title.style.display = "flex";
+  title.style.justifyContent = "space-between";
+  const label = document.createElement("strong");
+  label.textContent = step.label;
+  const badge = document.createElement("span");
+  badge.textContent = style.label;
+  badge.style.color = style.color;
+  badge.style.fontWeight = "600";
+  title.appendChild(label);
+  title.appendChild(badge);
+  container.appendChild(title);
+
+  const details = document.createElement("div");
+  details.style.color = "#475569";
+  details.textContent = [
+    `Erfasst: ${normalizeText(step.captured) || "–"}`,
+    result.status === "pending" || result.status === "skipped" ? "" : `Gesetzt: ${result.applied || "–"}`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  container.appendChild(details);
+
+  if (result.message) {
+    const message = document.createElement("div");
+    message.style.color = style.color;
+    message.textContent = result.message;
+    container.appendChild(message);
+  }
+
+  if (result.choices && result.choices.length) {
+    const choices = document.createElement("div");
+    choices.style.display = "flex";
+    choices.style.gap = "6px";
+    choices.style.marginTop = "4px";
+    result.choices.forEach((choice) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = choice === result.applied ? `${choice} (gewählt)` : choice;
+      button.disabled = choice === result.applied;
+      button.style.font = "inherit";
+      button.style.cursor = "pointer";
+      button.addEventListener("click", () => onRetry(choice));
+      choices.appendChild(button);
+    });
+    container.appendChild(choices);
+  }
+
+  if (result.status !== "failed") return;
+  const form = document.createElement("form");
+  form.style.display = "flex";
+  form.style.gap = "6px";
+  form.style.marginTop = "4px";
+  const input = document.createElement("input");
+  input.value = toStringSafe(result.lastValue != null ? result.lastValue : step.captured);
+  input.style.flex = "1";
+  input.style.font = "inherit";
+  input.style.padding = "2px 6px";
+  const retry = document.createElement("button");
+  retry.type = "submit";
+  retry.textContent = "Erneut versuchen";
+  retry.style.font = "inherit";
+  retry.style.cursor = "pointer";
+  form.appendChild(input);
+  form.appendChild(retry);
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    onRetry(input.value);
+  });
+  container.appendChild(form);
+};
+
+// Runs all steps in order without stopping at failures and keeps the panel open,
+// so failed fields can be corrected inline. Resolves with the results by key.
+// `onAllSet` runs once, as soon as no field is failed: after the first pass or
+// after the retry that fixed the last one.
+const runFieldSteps = async (title, steps, { onAllSet = null } = {}) => {
+  const panel = createStatusPanel(title);
+  const results = {};
+  let allSetReported = false;
+
+  const reportAllSet = () => {
+    if (!onAllSet || allSetReported) return;
+    if (Object.values(results).some((result) => result.status === "failed")) return;
+    allSetReported = true;
+    onAllSet(results);
+  };
+
+  const execute = async (step, value) => {
+    const container = panel.row(step.key);
+    renderFieldRow(container, step, { status: "pending" }, null);
+    const result = { ...(await runFieldStep(step, value)), lastValue: value };
+    results[step.key] = result;
+    traceEvent("field", { field: step.key, status: result.status, message: scrubTraceMessage(result.message) || null });
+    renderFieldRow(container, step, result, (edited) => execute(step, edited).then(reportAllSet));
+    return result;
+  };
+
+  for (const step of steps) {
+    if (!normalizeText(step.captured)) {
+      results[step.key] = { status: "skipped", applied: null, message: null };
+      renderFieldRow(panel.row(step.key), step, results[step.key], null);
+      continue;
+    }
+    await execute(step, step.captured);
+  }
+  reportAllSet();
+  return results;
+};
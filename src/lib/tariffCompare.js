@@ -0,0 +1,133 @@
+// Tariff comparison: parses the offers of a tarifs.asp result page and ranks
+// them against the category and price of the original reservation.
+
+// Offers within this share of the original price count as equivalent.
+const TARIFF_EQUIVALENT_TOLERANCE = 0.01;
+
+// The offer selectors are the offer* fields of the tarifs selector profile.
+const parseTariffOffers = (doc) => {
+  const textOf = (root, field) => {
+    const node = queryProfile("tarifs", field, root);
+    return node ? normalizeWhitespace(node.textContent) : "";
+  };
+  return queryProfileAll("tarifs", "offer", doc)
+    .map((offer) => {
+      const logo = queryProfile("tarifs", "offerSupplierLogo", offer);
+      const supplier = textOf(offer, "offerSupplier") || normalizeWhitespace(logo ? logo.alt : "");
+      const categoryText = textOf(offer, "offerCategory");
+      const acriss = findAcrissCode(categoryText);
+      const priceNodes = queryProfileAll("tarifs", "offerPrice", offer);
+      const price = priceNodes.length ? parsePrice(priceNodes[priceNodes.length - 1].textContent) : null;
+      return {
+        supplier: supplier || null,
+        category: { name: categoryText || null, acriss: acriss ? acriss.code : null },
+        price,
+      };
+    })
+    .filter((offer) => offer.price && Number.isFinite(offer.price.amount));
+};
+
+const compareCategory = (offerCategory, reservedCategory) => {
+  if (!reservedCategory || (!reservedCategory.acriss && !reservedCategory.name)) return "unknown";
+  if (offerCategory.acriss && reservedCategory.acriss) {
+    if (offerCategory.acriss === reservedCategory.acriss) return "same";
+    return offerCategory.acriss[0] === reservedCategory.acriss[0] ? "similar" : "different";
+  }
+  const offerName = normalizeForMatch(offerCategory.name);
+  const reservedName = normalizeForMatch(reservedCategory.name);
+  if (!offerName || !reservedName) return "unknown";
+  if (offerName === reservedName) return "same";
+  const reservedWords = reservedName.split(" ").filter((word) => word.length > 2);
+  return reservedWords.some((word) => offerName.includes(word)) ? "similar" : "different";
+};
+
+const rankTariffOffers = (offers, reservation) => {
+  const reservedPrice = reservation && reservation.price ? reservation.price : null;
+  const reservedCategory = reservation ? reservation.category : null;
+  const categoryRank = { same: 0, similar: 1, unknown: 2, different: 3 };
+
+  return offers
+    .map((offer) => {
+      const categoryMatch = compareCategory(offer.category, reservedCategory);
+      const comparable =
+        reservedPrice &&
+        Number.isFinite(reservedPrice.amount) &&
+        (!offer.price.currency || !reservedPrice.currency || offer.price.currency === reservedPrice.currency);
+      const delta = comparable ? offer.price.amount - reservedPrice.amount : null;
+      let flag = null;
+      if (delta != null && categoryMatch !== "different") {
+        if (Math.abs(delta) <= reservedPrice.amount * TARIFF_EQUIVALENT_TOLERANCE) flag = "equivalent";
+        else if (delta < 0) flag = "cheaper";
+      }
+      return { ...offer, categoryMatch, delta, flag };
+    })
+    .sort(
+      (a, b) =>
+        categoryRank[a.categoryMatch] - categoryRank[b.categoryMatch] || a.price.amount - b.price.amount
+    );
+};
+
+const formatCategory = (category) => {
+  if (!category) return "";
+  const { name, acriss } = category;
+  return name && acriss && name.includes(acriss) ? name : [name, acriss].filter(Boolean).join(" ");
+};
+
+const formatAmount = (amount, currency) =>
+  `${amount.toFixed(2).replace(".", ",")} ${currency || ""}`.trim();
+
+const showTariffComparison = (ranked, reservation) => {
+  const overlay = createOverlay({ title: `Tarifvergleich (${ranked.length} Angebote)` });
+  const reservedPrice = reservation && reservation.price;
+  const reservedCategory = reservation && reservation.category;
+
+  const summary = document.createElement("div");
+  summary.style.marginBottom = "12px";
+  summary.style.color = "#64748b";
+  summary.textContent = [
+    "Reservierung:",
+    formatCategory(reservedCategory),
+    reservedPrice && Number.isFinite(reservedPrice.amount)
+      ? formatAmount(reservedPrice.amount, reservedPrice.currency)
+      : "Preis unbekannt",
+  ]
+    .filter(Boolean)
+    .join(" ");
+  overlay.body.appendChild(summary);
+
+  const table = document.createElement("table");
+  table.style.width = "100%";
+  table.style.borderCollapse = "collapse";
+  const categoryLabels = { same: "gleich", similar: "ähnlich", different: "abweichend", unknown: "?" };
+  const flagLabels = { cheaper: "günstiger", equivalent: "gleichwertig" };
+  const header = table.insertRow();
+  ["Anbieter", "Kategorie", "Preis", "Differenz", ""].forEach((label) => {
+    const cell = document.createElement("th");
+    cell.textContent = label;
+    cell.style.textAlign = "left";
+    cell.style.padding = "4px 8px";
+    header.appendChild(cell);
+  });
+
+  ranked.forEach((offer) => {
+    const row = table.insertRow();
+    if (offer.flag) {
+      row.style.background = offer.flag === "cheaper" ? "#dcfce7" : "#e0f2fe";
+    }
+    [
+      offer.supplier || "?",
+      `${formatCategory(offer.category) || "?"} (${categoryLabels[offer.categoryMatch]})`,
+      formatAmount(offer.price.amount, offer.price.currency),
+      offer.delta == null ? "–" : `${offer.delta > 0 ? "+" : ""}${formatAmount(offer.delta, offer.price.currency)}`,
+      offer.flag ? flagLabels[offer.flag] : "",
+    ].forEach((value) => {
+      const cell = row.insertCell();
+      cell.textContent = value;
+      cell.style.padding = "4px 8px";
+      cell.style.borderTop = "1px solid #e2e8f0";
+    });
+  });
+
+  overlay.body.appendChild(table);
+  return overlay;
+};
@@ -0,0 +1,15 @@
+// Text helpers shared by all bookmarklets.
+
+const toStringSafe = (value) => (value == null ? "" : String(value));
+
+const normalizeText = (value) => toStringSafe(value).trim();
+
+const normalizeWhitespace = (value) => {
+  const text = toStringSafe(value).replace(/[\u00a0\u2000-\u200a\u202f\u205f\u3000]/g, " ");
+  return text.replace(/\s+/g, " ").trim();
+};
+
+const stripDiacritics = (value) =>
+  toStringSafe(value).normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+
+const normalizeForMatch = (value) => normalizeWhitespace(stripDiacritics(value)).toLowerCase();
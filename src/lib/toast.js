@@ -0,0 +1,53 @@
+// Toast notification shared by all bookmarklets.
+
+// `action` ({ label, onClick }) adds a button and keeps the toast up longer.
+const showToast = (message, { error = false, action = null } = {}) => {
+  const existing = document.querySelector("#bsp-auto-toast");
+  if (existing) {
+    existing.remove();
+  }
+  const toast = document.createElement("div");
+  toast.id = "bsp-auto-toast";
+  toast.style.position = "fixed";
+  toast.style.top = "16px";
+  toast.style.left = "50%";
+  toast.style.transform = "translateX(-50%)";
+  toast.style.padding = "10px 16px";
+  toast.style.background = error ? "#e67e22" : "#2ecc71";
+  toast.style.color = "#fff";
+  toast.style.font = "14px/1.4 sans-serif";
+  toast.style.borderRadius = "4px";
+  toast.style.boxShadow = "0 4px 12px rgba(0, 0, 0, 0.15)";
+  toast.style.zIndex = "2147483647";
+  toast.style.display = "flex";
+  toast.style.alignItems = "center";
+  toast.style.gap = "12px";
+
+  const label = document.createElement("span");
+  label.textContent = message;
+  toast.appendChild(label);
+
+  if (action) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = action.label;
+    button.style.border = "1px solid #fff";
+    button.style.borderRadius = "4px";
+    button.style.background = "transparent";
+    button.style.color = "#fff";
+    button.style.font = "inherit";
+    button.style.cursor = "pointer";
+    button.addEventListener("click", () => {
+      toast.remove();
+      action.onClick();
+    });
+    toast.appendChild(button);
+  }
+
+  document.body.appendChild(toast);
+  setTimeout(() => {
+    toast.style.transition = "opacity 200ms ease";
+    toast.style.opacity = "0";
+    setTimeout(() => toast.remove(), 220);
+  }, action ? 10000 : 4000);
+};
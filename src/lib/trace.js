@@ -0,0 +1,69 @@
+// Step-by-step record of a bookmarklet run, downloadable for bug reports.
+//
+// Every run records its trace in memory. In debug mode – bspAutoDebug = "on" (see
+// privacy.js) or Alt released within TRACE_MODIFIER_MS after starting the
+// bookmarklet – it is downloaded as JSON when the run ends. Callers record
+// selectors, field keys, station labels and timings, never what the customer
+// entered; details still pass through maskPersonalData.
+
+const TRACE = { tool: null, startedAt: Date.now(), debug: false, finished: false, events: [] };
+
+const TRACE_EVENT_LIMIT = 2000;
+
+const TRACE_MODIFIER_MS = 2000;
+
+// Our messages quote the values they complain about, e.g. `Keine passende Auswahl für "…"`.
+const scrubTraceMessage = (message) => toStringSafe(message).replace(/"[^"]*"/g, '"…"');
+
+// "input[name=prenom]#prenom" – enough to find the element again, nothing it contains.
+const describeElement = (element) =>
+  element
+    ? `${element.tagName.toLowerCase()}${element.name ? `[name=${element.name}]` : ""}${element.id ? `#${element.id}` : ""}`
+    : null;
+
+const traceEvent = (type, details = {}) => {
+  if (TRACE.events.length >= TRACE_EVENT_LIMIT) return;
+  TRACE.events.push({ ms: Date.now() - TRACE.startedAt, type, ...maskPersonalData(details) });
+};
+
+const downloadTrace = () => {
+  const report = {
+    tool: TRACE.tool,
+    version: BOOKMARKLET_BUILD.version,
+    build: BOOKMARKLET_BUILD.hash,
+    startedAt: new Date(TRACE.startedAt).toISOString(),
+    page: window.location.origin + window.location.pathname,
+    userAgent: navigator.userAgent,
+    events: TRACE.events,
+  };
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(new Blob([JSON.stringify(report, null, 2)], { type: "application/json" }));
+  link.download = `bsp-auto-trace-${TRACE.tool}-${report.startedAt.replace(/[:.]/g, "-")}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+};
+
+// A key held while clicking a bookmark never reaches the page as keydown, so the
+// modifier counts when it is released shortly after the start.
+const startTrace = (tool) => {
+  TRACE.tool = tool;
+  TRACE.debug = isDebugLogging();
+  const onKeyup = (event) => {
+    if (event.key !== "Alt" || TRACE.debug) return;
+    TRACE.debug = true;
+    traceEvent("debug", { via: "modifier" });
+    if (TRACE.finished) downloadTrace();
+  };
+  document.addEventListener("keyup", onKeyup, true);
+  setTimeout(() => document.removeEventListener("keyup", onKeyup, true), TRACE_MODIFIER_MS);
+  traceEvent("start", { debug: TRACE.debug, path: window.location.pathname });
+};
+
+const finishTrace = () => {
+  if (TRACE.finished) return;
+  TRACE.finished = true;
+  traceEvent("finish");
+  if (TRACE.debug) downloadTrace();
+};
@@ -0,0 +1,70 @@
+// Flight and train numbers from the "Vol/Train" line of a reservation.
+
+// Train brands that appear in front of a train number; `names` are lowercase and
+// without accents, `code` is what the booking form gets. The longest name that
+// matches wins, so "TGV Lyria" is a LYRIA train although "tgv" matches as well.
+const TRAIN_OPERATORS = [
+  { code: "TGV", operator: "SNCF", names: ["tgv inoui", "inoui", "tgv"] },
+  { code: "OUIGO", operator: "SNCF", names: ["ouigo"] },
+  { code: "INTERCITES", operator: "SNCF", names: ["intercites"] },
+  { code: "TER", operator: "SNCF", names: ["ter"] },
+  { code: "LYRIA", operator: "SNCF", names: ["tgv lyria", "lyria"] },
+  { code: "EUROSTAR", operator: "Eurostar", names: ["eurostar", "thalys"] },
+  { code: "ICE", operator: "DB", names: ["ice"] },
+];
+
+// Words customers put around the number that are not part of it.
+const TRAVEL_FILLER_WORDS = ["vol", "flight", "flug", "vuelo", "volo", "numero", "num", "no", "nr", "n"];
+
+// book.asp's vol field takes carrier and number separated by one space ("AF 1234").
+const TRAVEL_NUMBER_SEPARATOR = " ";
+
+// Returns { raw, type, carrier, operator, number, normalized } or null when `value`
+// holds no recognisable flight or train number. `carrier` is the IATA (two
+// characters) or ICAO (three letters) airline code, or the train brand.
+const parseTravelNumber = (value) => {
+  const raw = normalizeWhitespace(value);
+  if (!raw) return null;
+  const text = normalizeForMatch(raw).replace(/[°º#:.]/g, " ");
+
+  const brands = TRAIN_OPERATORS.flatMap((entry) => entry.names.map((name) => ({ ...entry, name }))).sort(
+    (a, b) => b.name.length - a.name.length
+  );
+  for (const entry of brands) {
+    const name = entry.name.replace(/ /g, "\\s+");
+    // The number may follow the brand without a space ("TGV6123").
+    const match = text.match(new RegExp(`\\b${name}(?![a-z])\\D{0,6}?(\\d{3,6})\\b`));
+    if (match) {
+      return {
+        raw,
+        type: "train",
+        carrier: entry.code,
+        operator: entry.operator,
+        number: match[1],
+        normalized: `${entry.code}${TRAVEL_NUMBER_SEPARATOR}${match[1]}`,
+      };
+    }
+  }
+
+  const train = text.match(/\b(?:train|zug|tren|treno)\b\D{0,6}?(\d{3,6})\b/);
+  if (train) {
+    return { raw, type: "train", carrier: null, operator: null, number: train[1], normalized: train[1] };
+  }
+
+  const fillers = new RegExp(`\\b(?:${TRAVEL_FILLER_WORDS.join("|")})\\b`, "g");
+  const flight = text
+    .replace(fillers, " ")
+    .toUpperCase()
+    .match(/\b([A-Z]{3}|[A-Z]\d|\d[A-Z]|[A-Z]{2})\s*-?\s*(\d{1,4}[A-Z]?)\b/);
+  if (flight) {
+    return {
+      raw,
+      type: "flight",
+      carrier: flight[1],
+      operator: null,
+      number: flight[2],
+      normalized: `${flight[1]}${TRAVEL_NUMBER_SEPARATOR}${flight[2]}`,
+    };
+  }
+  return null;
+};
@@ -0,0 +1,81 @@
+// Self-update check against dist/versions.json of the published bookmarklet page.
+//
+// build.js declares BOOKMARKLET_BUILD in every bookmarklet that references it:
+// { id, version, hash, builtAt, manifestUrl }. manifestUrl is null when the build did
+// not know where the page is published (see README); the check is skipped then.
+
+const UPDATE_CHECK_TIMEOUT_MS = 1500;
+
+const UPDATE_NOTICE_ID = "bsp-auto-update";
+
+// The Assistant and the Copy or Fill bookmarklet it runs both ask; one request per run.
+let updateCheck = null;
+
+const fetchVersionManifest = async (url) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), UPDATE_CHECK_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { cache: "no-store", credentials: "omit", signal: controller.signal });
+    return response.ok ? await response.json() : null;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Outdated means the published build of this bookmarklet differs and is younger, so a
+// local build that is newer than the published page never asks for a downgrade.
+const findNewerBuild = (manifest) => {
+  const latest = manifest && manifest.bookmarklets ? manifest.bookmarklets[BOOKMARKLET_BUILD.id] : null;
+  if (!latest || !latest.hash || latest.hash === BOOKMARKLET_BUILD.hash) return null;
+  return Date.parse(latest.builtAt) > Date.parse(BOOKMARKLET_BUILD.builtAt) ? latest : null;
+};
+
+// Stays until clicked; it sits at the bottom so it does not cover the tool's own toasts.
+const showUpdateNotice = (latest) => {
+  const notice = document.getElementById(UPDATE_NOTICE_ID) || document.createElement("div");
+  notice.id = UPDATE_NOTICE_ID;
+  notice.setAttribute("role", "status");
+  notice.style.position = "fixed";
+  notice.style.right = "16px";
+  notice.style.bottom = "16px";
+  notice.style.maxWidth = "360px";
+  notice.style.padding = "10px 14px";
+  notice.style.background = "#1e3a8a";
+  notice.style.color = "#fff";
+  notice.style.font = "13px/1.4 sans-serif";
+  notice.style.borderRadius = "6px";
+  notice.style.zIndex = "2147483647";
+  notice.textContent =
+    `Neue Version von „${latest.bookmarkName || BOOKMARKLET_BUILD.id}“ (${BOOKMARKLET_BUILD.version} → ` +
+    `${latest.version}): Lesezeichen löschen und neu von der Bookmarklet-Seite ziehen. `;
+
+  const link = document.createElement("a");
+  link.href = new URL("./", BOOKMARKLET_BUILD.manifestUrl).href;
+  link.target = "_blank";
+  link.rel = "noopener";
+  link.textContent = "Seite öffnen";
+  link.style.color = "#fff";
+  notice.appendChild(link);
+  notice.addEventListener("click", (event) => {
+    if (event.target !== link) notice.remove();
+  });
+  document.body.appendChild(notice);
+};
+
+// Runs in the background; an unreachable page or a slow answer only ends up in the trace.
+const checkForUpdate = () => {
+  if (updateCheck) return updateCheck;
+  updateCheck = (async () => {
+    if (!BOOKMARKLET_BUILD.manifestUrl || typeof fetch !== "function") return null;
+    try {
+      const latest = findNewerBuild(await fetchVersionManifest(BOOKMARKLET_BUILD.manifestUrl));
+      traceEvent("update", { version: BOOKMARKLET_BUILD.version, outdated: Boolean(latest) });
+      if (latest) showUpdateNotice(latest);
+      return latest;
+    } catch (error) {
+      traceEvent("update", { version: BOOKMARKLET_BUILD.version, error: error.name });
+      return null;
+    }
+  })();
+  return updateCheck;
+};
@@ -0,0 +1,143 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { BSP_ORIGIN, runBookmarklet } = require("./harness");
+
+const RESA_URL = `${BSP_ORIGIN}/auto_2175bsp/resa.asp`;
+const TARIFS_URL = `${BSP_ORIGIN}/auto_2175bsp/tarifs.asp`;
+const BOOK_URL = `${BSP_ORIGIN}/auto_2175bsp/book.asp`;
+
+// Clicks the overlay button labelled `label` once the Assistant offers it and
+// records the overlay title; `null` closes the overlay instead.
+const answerOverlay = (label, seen = {}) => async (window) => {
+  for (let tries = 0; tries < 40; tries += 1) {
+    const overlay = window.document.querySelector("#bsp-auto-overlay");
+    if (overlay) {
+      seen.title = overlay.querySelector("strong").textContent;
+      const buttons = Array.from(overlay.querySelectorAll("button"));
+      const actions = buttons.filter((button) => !button.getAttribute("aria-label"));
+      seen.actions = actions.map((button) => button.firstChild.textContent);
+      const target = label
+        ? actions.find((button) => button.firstChild.textContent === label)
+        : buttons.find((button) => button.getAttribute("aria-label") === "Schließen");
+      target.click();
+      return;
+    }
+    await new Promise((resolve) => window.setTimeout(resolve, 50));
+  }
+  throw new Error("The Assistant offered no action");
+};
+
+const runAssistant = (fixture, options) => runBookmarklet("BSP Assistant", fixture, options);
+
+test("Assistant offers the copy on a reservation page and stores the capture", async (t) => {
+  const seen = {};
+  const page = await runAssistant("reservation.html", {
+    url: RESA_URL,
+    whileRunning: answerOverlay("Reservierung kopieren", seen),
+  });
+  t.after(page.close);
+
+  assert.equal(seen.title, "BSP Assistant – Reservierungsseite");
+  assert.deepEqual(seen.actions, ["Reservierung kopieren"]);
+  assert.equal(page.storedBooking().source.reservationId, "BSP-778812");
+  assert.equal(page.toast(), "BSP data copied");
+});
+
+test("Assistant fills tarifs.asp and then book.asp from the capture", async (t) => {
+  const copy = await runAssistant("reservation.html", {
+    url: RESA_URL,
+    whileRunning: answerOverlay("Reservierung kopieren"),
+  });
+  const storage = copy.storage();
+  copy.close();
+
+  const seen = {};
+  const tarifs = await runAssistant("tarifs.html", {
+    url: TARIFS_URL,
+    storage,
+    whileRunning: answerOverlay("Tarifsuche ausfüllen", seen),
+  });
+  t.after(tarifs.close);
+  assert.equal(seen.title, "BSP Assistant – Tarifsuche (tarifs.asp)");
+  assert.equal(tarifs.value("#recherche-start"), "Paris Aeroport Charles de Gaulle CDG");
+  assert.equal(tarifs.toast(), "Formular ausgefüllt.");
+
+  const book = await runAssistant("book.html", {
+    url: BOOK_URL,
+    storage,
+    whileRunning: answerOverlay("Fahrerdaten ausfüllen", seen),
+  });
+  t.after(book.close);
+  assert.equal(seen.title, "BSP Assistant – Fahrerformular (book.asp)");
+  assert.equal(book.value('[name="prenom"]'), "Camille");
+  assert.deepEqual(book.storage(), {});
+});
+
+test("Assistant recognises the search form under another address", async (t) => {
+  const seen = {};
+  const page = await runAssistant("tarifs.html", {
+    url: `${BSP_ORIGIN}/auto_2175bsp/recherche.asp`,
+    whileRunning: answerOverlay(null, seen),
+  });
+  t.after(page.close);
+
+  assert.deepEqual(seen.actions, ["Tarifsuche ausfüllen"]);
+  assert.equal(page.toast(), null);
+});
+
+// The overlay and Fill must agree on the page: Fill used to look at the address again and
+// ran the tariff search here.
+test("Assistant fills a driver form it recognised under another address", async (t) => {
+  const copy = await runAssistant("reservation.html", {
+    url: RESA_URL,
+    whileRunning: answerOverlay("Reservierung kopieren"),
+  });
+  const storage = copy.storage();
+  copy.close();
+
+  const seen = {};
+  const page = await runAssistant("book.html", {
+    url: `${BSP_ORIGIN}/auto_2175bsp/conducteur.asp`,
+    storage,
+    whileRunning: answerOverlay("Fahrerdaten ausfüllen", seen),
+  });
+  t.after(page.close);
+
+  assert.equal(seen.title, "BSP Assistant – Fahrerformular (book.asp)");
+  assert.equal(page.document.querySelector("#bsp-auto-status-panel strong").textContent, "Personaldaten");
+  assert.equal(page.value('[name="prenom"]'), "Camille");
+  assert.equal(page.toast(), "Personaldaten ausgefüllt, gespeicherte Daten gelöscht.");
+});
+
+test("Assistant explains that it does nothing on other pages", async (t) => {
+  const page = await runAssistant("unrelated.html", { url: `${BSP_ORIGIN}/contact.asp` });
+  t.after(page.close);
+
+  assert.match(page.toast(), /^Keine BSP-Seite erkannt\./);
+  assert.equal(page.document.querySelector("#bsp-auto-overlay"), null);
+  assert.deepEqual(page.storage(), {});
+});
+
+// Stands in for a CSP without 'unsafe-eval': the harness starts the bookmark through eval
+// once, the way the browser runs it, and every later eval is refused.
+const forbidEval = (window) => {
+  const evaluate = window.eval;
+  let started = false;
+  window.eval = (code) => {
+    if (started) throw new window.EvalError("call to eval() blocked by CSP");
+    started = true;
+    return evaluate(code);
+  };
+};
+
+test("Assistant copies on a page that forbids eval", async (t) => {
+  const page = await runAssistant("reservation.html", {
+    url: RESA_URL,
+    beforeParse: forbidEval,
+    whileRunning: answerOverlay("Reservierung kopieren"),
+  });
+  t.after(page.close);
+
+  assert.equal(page.storedBooking().source.reservationId, "BSP-778812");
+  assert.equal(page.toast(), "BSP data copied");
+});
@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { BSP_ORIGIN, runBookmarklet } = require("./harness");
+
+const RESA_URL = `${BSP_ORIGIN}/auto_2175bsp/resa.asp`;
+const TARIFS_URL = `${BSP_ORIGIN}/auto_2175bsp/tarifs.asp`;
+
+// Fill against tarifs-autocomplete.html, a real jQuery UI autocomplete with the
+// station list and answer latency set through window.bspStandin.
+const captureStorage = async (edit) => {
+  const page = await runBookmarklet("Copy Bookmarklet", "reservation.html", { url: RESA_URL });
+  const booking = page.storedBooking();
+  page.close();
+  if (edit) edit(booking);
+  return { bspAutoBookingData: JSON.stringify(booking), bspAutoBookingHistory: JSON.stringify([booking]) };
+};
+
+const fillStandin = (storage, standin = {}) =>
+  runBookmarklet("Fill Bookmarklet", "tarifs-autocomplete.html", {
+    url: TARIFS_URL,
+    storage,
+    beforeParse: (window) => {
+      window.bspStandin = standin;
+    },
+  });
+
+// Copied out of the page's realm, so deepEqual compares plain arrays.
+const selections = (page) =>
+  JSON.parse(JSON.stringify(page.window.bspStandinLog)).filter((entry) => entry.type === "select");
+
+test("Fill selects stations by code through the autocomplete data source", async (t) => {
+  const page = await fillStandin(await captureStorage(), {
+    stations: [
+      { label: "Paris Aeroport Charles de Gaulle CDG", code: "99999" },
+      { label: "Paris Aeroport Charles de Gaulle CDG", code: "12345" },
+      { label: "Paris Gare de Lyon", code: "23456" },
+    ],
+  });
+  t.after(page.close);
+
+  assert.equal(page.value('[name="code_start"]'), "12345");
+  assert.equal(page.value('[name="code_end"]'), "23456");
+  assert.deepEqual(
+    selections(page).map(({ via }) => via),
+    ["script", "script"]
+  );
+  assert.deepEqual(page.panel().slice(0, 2), [
+    ["Startstation", "OK"],
+    ["Rückgabestation", "OK"],
+  ]);
+});
+
+test("Fill types and clicks the suggestion when the items carry no codes", async (t) => {
+  const page = await fillStandin(await captureStorage(), { exposeCodes: false, latency: 600 });
+  t.after(page.close);
+
+  assert.equal(page.value("#recherche-start"), "Paris Aeroport Charles de Gaulle CDG");
+  assert.equal(page.value("#recherche-end"), "Paris Gare de Lyon");
+  assert.deepEqual(
+    selections(page).map(({ label, via }) => [label, via]),
+    [
+      ["Paris Aeroport Charles de Gaulle CDG", "menu"],
+      ["Paris Gare de Lyon", "menu"],
+    ]
+  );
+});
+
+test("Fill waits for the next query's suggestions instead of reading the previous list", async (t) => {
+  const storage = await captureStorage((booking) => {
+    booking.pickupStation = { raw: "Paris Gare du Nord", stationCode: null, iata: null };
+    booking.returnStation = booking.pickupStation;
+  });
+  const page = await fillStandin(storage, {
+    exposeCodes: false,
+    stations: [
+      { label: "Paris Gare du Nord Parking Souterrain Niveau Moins Deux Zone Loueurs Batiment Est", code: "1" },
+      { label: "Paris Nord", code: "2" },
+    ],
+  });
+  t.after(page.close);
+
+  assert.equal(page.value("#recherche-start"), "Paris Nord");
+  assert.deepEqual(page.panel()[0], ["Startstation", "angepasst"]);
+});
+
+test("Fill gives up on a station when the data source answers too late", async (t) => {
+  const storage = await captureStorage((booking) => {
+    booking.pickupStation = { raw: "Lyon Part Dieu", stationCode: null, iata: null };
+    booking.returnStation = booking.pickupStation;
+  });
+  const page = await fillStandin(storage, { exposeCodes: false, latency: 2000 });
+  t.after(page.close);
+
+  assert.deepEqual(page.panel().slice(0, 2), [
+    ["Startstation", "fehlgeschlagen"],
+    ["Rückgabestation", "fehlgeschlagen"],
+  ]);
+  assert.deepEqual(selections(page), []);
+});
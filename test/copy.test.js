@@ -0,0 +1,250 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { BSP_ORIGIN, enterInOverlay, runBookmarklet } = require("./harness");
+
+const RESA_URL = `${BSP_ORIGIN}/auto_2175bsp/resa.asp`;
+// A back office on another host than tarifs.asp, so the capture has to be handed over.
+const PARTNER_RESA_URL = "https://backoffice.bsp-auto.example/resa.asp";
+
+test("Copy stores the French reservation page as a schema 5 payload", async (t) => {
+  const page = await runBookmarklet("Copy Bookmarklet", "reservation.html", { url: RESA_URL });
+  t.after(page.close);
+  const data = page.storedBooking();
+
+  assert.equal(data.schemaVersion, 5);
+  assert.ok(data.capturedAt.startsWith("2026-12-01T09:00"), data.capturedAt);
+  assert.deepEqual(data.source, { url: RESA_URL, reservationId: "BSP-778812" });
+  assert.deepEqual(data.pickupStation, {
+    raw: "Paris Aeroport Charles de Gaulle CDG",
+    stationCode: "12345",
+    iata: "CDG",
+  });
+  assert.deepEqual(data.pickup, { dateRaw: "Lundi 14 décembre 2026 à 10h30", date: "2026-12-14", time: "10:30" });
+  assert.deepEqual(data.returnStation, { raw: "Paris Gare de Lyon", stationCode: "23456", iata: null });
+  assert.deepEqual(data.return, { dateRaw: "vendredi 18 décembre 2026 à 18:00", date: "2026-12-18", time: "18:00" });
+  assert.equal(page.toast(), "BSP data copied");
+});
+
+test("Copy captures the driver profile with the phone number in E.164", async (t) => {
+  const page = await runBookmarklet("Copy Bookmarklet", "reservation.html", { url: RESA_URL });
+  t.after(page.close);
+
+  assert.deepEqual(page.storedBooking().driver, {
+    firstName: "Camille",
+    lastName: "Exemple",
+    phone: "+33612345678",
+    email: "camille@example.com",
+    flightNumber: "AF 1234",
+    travel: { raw: "AF 1234", type: "flight", carrier: "AF", operator: null, number: "1234" },
+    civility: "mrs",
+    street: "1 rue de l'Exemple",
+    postalCode: "75002",
+    city: "Paris",
+    country: "France",
+    birthDate: "1980-03-12",
+    licenceNumber: "12AB34567",
+    licenceIssueDate: "1998-06-01",
+  });
+  assert.deepEqual(page.warnings, []);
+});
+
+test("Copy warns about each implausible driver field and still stores it", async (t) => {
+  const page = await runBookmarklet("Copy Bookmarklet", "reservation.html", {
+    url: RESA_URL,
+    beforeParse: (window) =>
+      window.document.addEventListener("DOMContentLoaded", () => {
+        window.document.querySelector('[name="email"]').value = "camille.example.com";
+        window.document.querySelector('[name="date_permis"]').value = "01/06/1990";
+      }),
+  });
+  t.after(page.close);
+
+  assert.equal(page.storedBooking().driver.email, "camille.example.com");
+  assert.equal(page.warnings.length, 2, JSON.stringify(page.warnings));
+  assert.match(page.warnings[0], /^Driver field email looks wrong: E-Mail-Adresse ungültig\./);
+  assert.match(page.warnings[1], /^Driver field licenceIssueDate looks wrong: Führerschein wäre vor dem 16\. Geburtstag/);
+  assert.doesNotMatch(page.warnings.join("\n"), /camille\.example\.com/);
+});
+
+test("Copy ignores a generic id parameter and reads the reference from the page", async (t) => {
+  const page = await runBookmarklet("Copy Bookmarklet", "reservation.html", { url: `${RESA_URL}?id=42&lang=fr` });
+  t.after(page.close);
+
+  assert.equal(page.storedBooking().source.reservationId, "BSP-778812");
+  assert.equal(page.storedBooking().reservation.reference, "BSP-778812");
+});
+
+test("Copy reads category, extras, price and remarks", async (t) => {
+  const page = await runBookmarklet("Copy Bookmarklet", "reservation.html", { url: RESA_URL });
+  t.after(page.close);
+
+  assert.deepEqual(page.storedBooking().reservation, {
+    reference: "BSP-778812",
+    category: { name: "Citadine - Peugeot 208 ou similaire", acriss: "ECMR" },
+    extras: [
+      { type: "childSeat", label: "Siège bébé x2", quantity: 2 },
+      { type: "gps", label: "GPS", quantity: 1 },
+      { type: "extraDriver", label: "Conducteur supplémentaire", quantity: 1 },
+    ],
+    price: { amount: 1234.5, currency: "EUR", raw: "1 234,50 €" },
+    remarks: "Arrivée tardive\nMerci",
+  });
+});
+
+test("Copy parses English dates with am/pm, repairs broken accents and recognises trains", async (t) => {
+  const page = await runBookmarklet("Copy Bookmarklet", "reservation-en.html", { url: RESA_URL });
+  t.after(page.close);
+  const data = page.storedBooking();
+
+  assert.deepEqual(data.pickup, {
+    dateRaw: "Monday, December 14th, 2026 at 9:15 am",
+    date: "2026-12-14",
+    time: "09:15",
+  });
+  assert.deepEqual(data.return, {
+    dateRaw: "Friday, December 18th, 2026 at 7:45 pm",
+    date: "2026-12-18",
+    time: "19:45",
+  });
+  assert.deepEqual(data.returnStation, { raw: "Nice Aéroport NCE", stationCode: "45678", iata: "NCE" });
+  assert.equal(data.driver.phone, "+49301234567");
+  assert.equal(data.driver.flightNumber, "TGV 6123");
+  assert.deepEqual(data.driver.travel, {
+    raw: "tgv inoui n°6123 (arrivée 14h)",
+    type: "train",
+    carrier: "TGV",
+    operator: "SNCF",
+    number: "6123",
+  });
+});
+
+// Rewrites the fixture's category line before Copy reads it.
+const withCategory = (category) => (window) =>
+  window.document.addEventListener("DOMContentLoaded", () => {
+    const title = Array.from(window.document.querySelectorAll(".tit")).find((node) =>
+      node.textContent.startsWith("Catégorie")
+    );
+    title.nextElementSibling.textContent = category;
+  });
+
+// Capitals in a model name are no ACRISS code; only a code in its usual place counts.
+test("Copy reads the ACRISS code only where the category gives it as a code", async (t) => {
+  const page = await runBookmarklet("Copy Bookmarklet", "reservation.html", {
+    url: RESA_URL,
+    beforeParse: withCategory("Monospace - Renault Grand Scenic SEMI-AUTO ou similaire"),
+  });
+  t.after(page.close);
+
+  assert.deepEqual(page.storedBooking().reservation.category, {
+    name: "Monospace - Renault Grand Scenic SEMI-AUTO ou similaire",
+    acriss: null,
+  });
+});
+
+// Rewrites the fixture's Vol/Train line before Copy reads it.
+const withTravelEntry = (entry) => (window) =>
+  window.document.addEventListener("DOMContentLoaded", () => {
+    const title = Array.from(window.document.querySelectorAll(".tit")).find((node) =>
+      node.textContent.startsWith("Vol/Train")
+    );
+    title.textContent = `Vol/Train : ${entry}`;
+  });
+
+// Written without a space, "tgv" alone is close enough to the number to match as well.
+test("Copy takes the longest train brand, so a TGV Lyria is no TGV", async (t) => {
+  const page = await runBookmarklet("Copy Bookmarklet", "reservation.html", {
+    url: RESA_URL,
+    beforeParse: withTravelEntry("TGV Lyria9261"),
+  });
+  t.after(page.close);
+
+  assert.equal(page.storedBooking().driver.flightNumber, "LYRIA 9261");
+  assert.deepEqual(page.storedBooking().driver.travel, {
+    raw: "TGV Lyria9261",
+    type: "train",
+    carrier: "LYRIA",
+    operator: "SNCF",
+    number: "9261",
+  });
+});
+
+test("Copy opens tarifs.asp without a hash on the same origin", async (t) => {
+  const page = await runBookmarklet("Copy Bookmarklet", "reservation.html", { url: RESA_URL });
+  t.after(page.close);
+  await page.wait(1100);
+
+  assert.deepEqual(page.opened, [["https://www.bsp-auto.com/auto_2175bsp/tarifs.asp", "_blank", "noopener"]]);
+  assert.equal(page.clipboard(), null);
+});
+
+test("Copy hands the whole capture to another origin", async (t) => {
+  const page = await runBookmarklet("Copy Bookmarklet", "reservation.html", { url: PARTNER_RESA_URL });
+  t.after(page.close);
+  await page.wait(1100);
+
+  assert.equal(page.opened.length, 1);
+  const [url, target] = page.opened[0];
+  assert.equal(target, "_blank");
+  const match = url.match(/^https:\/\/www\.bsp-auto\.com\/auto_2175bsp\/tarifs\.asp#bspAutoBookingData=(.+)$/);
+  assert.ok(match, url);
+  const fromHash = JSON.parse(Buffer.from(match[1], "base64url").toString("utf8"));
+  const fromClipboard = JSON.parse(page.clipboard()).bspAutoBookingData;
+  assert.deepEqual(fromHash, page.storedBooking());
+  assert.deepEqual(fromClipboard, page.storedBooking());
+});
+
+test("Copy hands the trip without personal data to another origin when asked to", async (t) => {
+  const page = await runBookmarklet("Copy Bookmarklet", "reservation.html", {
+    url: PARTNER_RESA_URL,
+    storage: { bspAutoHandoffTripOnly: "on" },
+  });
+  t.after(page.close);
+  await page.wait(1100);
+
+  const fromHash = JSON.parse(Buffer.from(page.opened[0][0].split("#bspAutoBookingData=")[1], "base64url").toString("utf8"));
+  const fromClipboard = JSON.parse(page.clipboard()).bspAutoBookingData;
+  for (const handoff of [fromHash, fromClipboard]) {
+    assert.equal(handoff.pickupStation.raw, "Paris Aeroport Charles de Gaulle CDG");
+    assert.ok(Object.values(handoff.driver).every((value) => value === null || typeof value === "object"));
+    assert.ok(Object.values(handoff.driver.travel).every((value) => value === null));
+    assert.equal(handoff.reservation.remarks, null);
+  }
+  assert.equal(page.storedBooking().driver.firstName, "Camille");
+});
+
+test("Copy stores and hands over only the encrypted capture when encryption is on", async (t) => {
+  const page = await runBookmarklet("Copy Bookmarklet", "reservation.html", {
+    url: PARTNER_RESA_URL,
+    storage: { bspAutoEncryptBookingData: "on" },
+    whileRunning: enterInOverlay("Kennwort 1"),
+  });
+  t.after(page.close);
+  await page.wait(1100);
+
+  const stored = page.storedBooking();
+  assert.deepEqual(Object.keys(stored.encrypted), ["iterations", "salt", "iv", "data"]);
+  assert.deepEqual(stored.source, { url: null, reservationId: "BSP-778812" });
+  const fromHash = page.opened[0][0].split("#bspAutoBookingData=")[1];
+  assert.deepEqual(JSON.parse(Buffer.from(fromHash, "base64url").toString("utf8")), stored);
+  assert.doesNotMatch(JSON.stringify(page.storage()) + page.clipboard(), /Camille|Charles de Gaulle/);
+});
+
+test("Copy stores nothing without a passphrase", async (t) => {
+  const page = await runBookmarklet("Copy Bookmarklet", "reservation.html", {
+    url: RESA_URL,
+    storage: { bspAutoEncryptBookingData: "on" },
+    whileRunning: enterInOverlay(""),
+  });
+  t.after(page.close);
+
+  assert.equal(page.toast(), "Copy cancelled – no passphrase entered");
+  assert.deepEqual(page.storage(), { bspAutoEncryptBookingData: "on" });
+});
+
+test("Copy stores nothing on a page without reservation data", async (t) => {
+  const page = await runBookmarklet("Copy Bookmarklet", "tarifs.html", { url: RESA_URL });
+  t.after(page.close);
+
+  assert.equal(page.toast(), "No data found");
+  assert.deepEqual(page.storage(), {});
+});
@@ -0,0 +1,364 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  BSP_ORIGIN,
+  TEST_NOW,
+  chooseInOverlay,
+  enterInOverlay,
+  runBookmarklet,
+  serveSubmittedForm,
+} = require("./harness");
+
+const RESA_URL = `${BSP_ORIGIN}/auto_2175bsp/resa.asp`;
+const TARIFS_URL = `${BSP_ORIGIN}/auto_2175bsp/tarifs.asp`;
+const BOOK_URL = `${BSP_ORIGIN}/auto_2175bsp/book.asp`;
+// A back office on another host than tarifs.asp, so the capture has to be handed over.
+const PARTNER_RESA_URL = "https://backoffice.bsp-auto.example/resa.asp";
+
+// The Fill tests start from what Copy stored, so both halves are covered together.
+const copyReservation = async (fixture = "reservation.html", url = RESA_URL, options = {}) => {
+  const page = await runBookmarklet("Copy Bookmarklet", fixture, { url, ...options });
+  await page.wait(1100);
+  const result = { storage: page.storage(), handoffUrl: page.opened[0] && page.opened[0][0], clipboard: page.clipboard() };
+  page.close();
+  return result;
+};
+
+// Rewrites the stored capture, e.g. to ask for a time tarifs.asp does not offer.
+const editStoredBooking = (storage, edit) => {
+  const booking = JSON.parse(storage.bspAutoBookingData);
+  edit(booking);
+  return { bspAutoBookingData: JSON.stringify(booking), bspAutoBookingHistory: JSON.stringify([booking]) };
+};
+
+test("Fill completes the search form on tarifs.asp", async (t) => {
+  const { storage } = await copyReservation();
+  const page = await runBookmarklet("Fill Bookmarklet", "tarifs.html", { url: TARIFS_URL, storage });
+  t.after(page.close);
+
+  assert.equal(page.value("#recherche-start"), "Paris Aeroport Charles de Gaulle CDG");
+  assert.equal(page.value("#recherche-end"), "Paris Gare de Lyon");
+  assert.equal(page.value("#from"), "14/12/2026");
+  assert.equal(page.value("#to"), "18/12/2026");
+  assert.equal(page.value('select[name="heure_a"]'), "10:30");
+  assert.equal(page.value('select[name="heure_d"]'), "18:00");
+  assert.deepEqual(page.panel(), [
+    ["Startstation", "OK"],
+    ["Rückgabestation", "OK"],
+    ["Abholdatum", "OK"],
+    ["Rückgabedatum", "OK"],
+    ["Abholzeit", "OK"],
+    ["Rückgabezeit", "OK"],
+  ]);
+  assert.equal(page.toast(), "Formular ausgefüllt.");
+});
+
+test("Fill takes the reservation from the URL hash Copy opens", async (t) => {
+  const { handoffUrl } = await copyReservation("reservation.html", PARTNER_RESA_URL);
+  const page = await runBookmarklet("Fill Bookmarklet", "tarifs.html", { url: handoffUrl });
+  t.after(page.close);
+
+  assert.equal(page.value("#recherche-start"), "Paris Aeroport Charles de Gaulle CDG");
+  assert.equal(page.window.location.hash, "");
+  assert.equal(page.storedBooking().source.reservationId, "BSP-778812");
+  assert.equal(page.storedBooking().driver.firstName, "Camille");
+});
+
+test("Fill warns on book.asp when the handoff carried the trip only", async (t) => {
+  const { handoffUrl } = await copyReservation("reservation.html", PARTNER_RESA_URL, {
+    storage: { bspAutoHandoffTripOnly: "on" },
+  });
+  const page = await runBookmarklet("Fill Bookmarklet", "book.html", {
+    url: BOOK_URL + handoffUrl.slice(handoffUrl.indexOf("#")),
+  });
+  t.after(page.close);
+
+  assert.equal(
+    page.toast(),
+    "Keine Fahrerinformationen übergeben: Bei bspAutoHandoffTripOnly bleiben sie auf der Reservierungsseite. Bitte von Hand eintragen."
+  );
+  assert.equal(page.value('[name="prenom"]'), "");
+});
+
+test("Fill falls back to the clipboard and empties it once it took the reservation", async (t) => {
+  const { clipboard } = await copyReservation("reservation.html", PARTNER_RESA_URL);
+  const page = await runBookmarklet("Fill Bookmarklet", "tarifs.html", { url: TARIFS_URL, clipboard });
+  t.after(page.close);
+
+  assert.equal(page.value("#recherche-start"), "Paris Aeroport Charles de Gaulle CDG");
+  assert.equal(page.storedBooking().source.reservationId, "BSP-778812");
+  assert.equal(page.clipboard(), "");
+});
+
+test("Fill leaves a clipboard without a reservation alone", async (t) => {
+  const page = await runBookmarklet("Fill Bookmarklet", "tarifs.html", {
+    url: TARIFS_URL,
+    clipboard: "Rappeler le client demain",
+  });
+  t.after(page.close);
+
+  assert.equal(page.toast(), "Keine Daten.");
+  assert.equal(page.clipboard(), "Rappeler le client demain");
+});
+
+test("Fill asks which reservation to use when several are stored", async (t) => {
+  const { storage } = await copyReservation();
+  const first = JSON.parse(storage.bspAutoBookingData);
+  const second = {
+    ...first,
+    capturedAt: new Date(TEST_NOW + 60 * 1000).toISOString(),
+    source: { ...first.source, reservationId: "BSP-778990" },
+    pickupStation: { raw: "Lyon Part Dieu", stationCode: null, iata: null },
+  };
+  const seen = {};
+  const page = await runBookmarklet("Fill Bookmarklet", "tarifs.html", {
+    url: TARIFS_URL,
+    storage: { bspAutoBookingData: JSON.stringify(second), bspAutoBookingHistory: JSON.stringify([second, first]) },
+    whileRunning: chooseInOverlay("Reservierung BSP-778812 – Camille Exemple", seen),
+  });
+  t.after(page.close);
+
+  assert.equal(seen.title, "Welche Reservierung übernehmen?");
+  assert.deepEqual(seen.choices, [
+    "Reservierung BSP-778990 – Camille Exemple",
+    "Reservierung BSP-778812 – Camille Exemple",
+  ]);
+  assert.equal(page.value("#recherche-start"), "Paris Aeroport Charles de Gaulle CDG");
+});
+
+test("Fill decrypts a capture Copy encrypted with a passphrase", async (t) => {
+  const { storage } = await copyReservation("reservation.html", RESA_URL, {
+    storage: { bspAutoEncryptBookingData: "on" },
+    whileRunning: enterInOverlay("Kennwort 1"),
+  });
+  assert.ok(JSON.parse(storage.bspAutoBookingData).encrypted);
+  assert.doesNotMatch(JSON.stringify(storage), /Camille|Charles de Gaulle/);
+
+  const page = await runBookmarklet("Fill Bookmarklet", "tarifs.html", {
+    url: TARIFS_URL,
+    storage,
+    whileRunning: enterInOverlay("Kennwort 1"),
+  });
+  t.after(page.close);
+
+  assert.equal(page.value("#recherche-start"), "Paris Aeroport Charles de Gaulle CDG");
+  assert.equal(page.value("#from"), "14/12/2026");
+});
+
+test("Fill reports a wrong passphrase and keeps the encrypted capture", async (t) => {
+  const { storage } = await copyReservation("reservation.html", RESA_URL, {
+    storage: { bspAutoEncryptBookingData: "on" },
+    whileRunning: enterInOverlay("Kennwort 1"),
+  });
+  const page = await runBookmarklet("Fill Bookmarklet", "tarifs.html", {
+    url: TARIFS_URL,
+    storage,
+    whileRunning: enterInOverlay("Kennwort 2"),
+  });
+  t.after(page.close);
+
+  assert.equal(page.toast(), "Passphrase falsch oder Daten beschädigt.");
+  assert.equal(page.value("#recherche-start"), "");
+  assert.deepEqual(page.storage(), storage);
+});
+
+test("Fill picks the next bookable slot and marks the time as adjusted", async (t) => {
+  const { storage } = await copyReservation();
+  const edited = editStoredBooking(storage, (booking) => {
+    booking.pickup.time = "11:00";
+  });
+  const page = await runBookmarklet("Fill Bookmarklet", "tarifs.html", { url: TARIFS_URL, storage: edited });
+  t.after(page.close);
+
+  assert.equal(page.value('select[name="heure_a"]'), "12:00");
+  assert.deepEqual(page.panel()[4], ["Abholzeit", "angepasst"]);
+  assert.equal(page.toast(), "Formular ausgefüllt, 1 Feld(er) angepasst.");
+});
+
+test("Fill marks a station without a matching suggestion as failed", async (t) => {
+  const { storage } = await copyReservation();
+  const edited = editStoredBooking(storage, (booking) => {
+    booking.returnStation = { raw: "Marseille Saint-Charles", stationCode: null, iata: null };
+  });
+  const page = await runBookmarklet("Fill Bookmarklet", "tarifs.html", { url: TARIFS_URL, storage: edited });
+  t.after(page.close);
+
+  assert.deepEqual(page.panel()[1], ["Rückgabestation", "fehlgeschlagen"]);
+  assert.equal(page.toast(), "Formular ausgefüllt, 1 Feld(er) fehlgeschlagen.");
+});
+
+test("Fill completes the driver form on book.asp and deletes the capture", async (t) => {
+  const { storage } = await copyReservation();
+  const page = await runBookmarklet("Fill Bookmarklet", "book.html", { url: BOOK_URL, storage });
+  t.after(page.close);
+
+  assert.equal(page.document.querySelector('input[name="civ"][value="F"]').checked, true);
+  assert.equal(page.value('[name="prenom"]'), "Camille");
+  assert.equal(page.value('[name="champ_b"]'), "Exemple");
+  assert.equal(page.value('[name="x1"]'), "camille@example.com");
+  assert.equal(page.value('[name="indicatif"]'), "FR");
+  assert.equal(page.value('[name="x2"]'), "0612345678");
+  assert.equal(page.value('[name="adresse_client"]'), "1 rue de l'Exemple");
+  assert.equal(page.value('[name="code_postal"]'), "75002");
+  assert.equal(page.value('[name="ville"]'), "Paris");
+  assert.equal(page.value('[name="pays"]'), "FR");
+  assert.equal(page.value('[name="birth"]'), "1980-03-12");
+  assert.equal(page.value('[name="numero_permis"]'), "12AB34567");
+  assert.equal(page.value('[name="date_obtention"]'), "01/06/1998");
+  assert.equal(page.value('[name="vol"]'), "AF 1234");
+  assert.ok(page.panel().every(([, status]) => status === "OK"), JSON.stringify(page.panel()));
+  assert.equal(page.toast(), "Personaldaten ausgefüllt, gespeicherte Daten gelöscht.");
+  assert.deepEqual(page.storage(), {});
+});
+
+test("Fill deletes the capture once a failed driver field is corrected in the panel", async (t) => {
+  const { storage } = await copyReservation();
+  const edited = editStoredBooking(storage, (booking) => {
+    booking.driver.country = "Atlantis";
+  });
+  const page = await runBookmarklet("Fill Bookmarklet", "book.html", { url: BOOK_URL, storage: edited });
+  t.after(page.close);
+
+  const failedRows = page.panel().filter(([, status]) => status === "fehlgeschlagen");
+  assert.equal(failedRows.length, 1, JSON.stringify(page.panel()));
+  assert.notDeepEqual(page.storage(), {});
+
+  const form = page.document.querySelector("#bsp-auto-status-panel form");
+  form.querySelector("input").value = "France";
+  form.dispatchEvent(new page.window.Event("submit", { cancelable: true }));
+  await page.wait(50);
+
+  assert.ok(page.panel().every(([, status]) => status === "OK"), JSON.stringify(page.panel()));
+  assert.equal(page.value('[name="pays"]'), "FR");
+  assert.equal(page.toast(), "Personaldaten ausgefüllt, gespeicherte Daten gelöscht.");
+  assert.deepEqual(page.storage(), {});
+});
+
+test("Fill keeps impossible dates out of the form", async (t) => {
+  const { storage } = await copyReservation();
+  const edited = editStoredBooking(storage, (booking) => {
+    booking.return.date = "2026-12-10";
+  });
+  const page = await runBookmarklet("Fill Bookmarklet", "tarifs.html", { url: TARIFS_URL, storage: edited });
+  t.after(page.close);
+
+  assert.equal(page.value("#from"), "");
+  assert.equal(page.value("#to"), "");
+  assert.deepEqual(page.panel().slice(2, 4), [
+    ["Abholdatum", "fehlgeschlagen"],
+    ["Rückgabedatum", "fehlgeschlagen"],
+  ]);
+  assert.equal(page.toast(), "Formular ausgefüllt, 2 Feld(er) fehlgeschlagen.");
+});
+
+// The pickup lies before the test clock, which only warrants a confirmation.
+const pastPickup = (storage) =>
+  editStoredBooking(storage, (booking) => {
+    booking.pickup.date = "2026-11-28";
+  });
+
+test("Fill enters suspicious dates once they are confirmed", async (t) => {
+  const { storage } = await copyReservation();
+  const seen = {};
+  const page = await runBookmarklet("Fill Bookmarklet", "tarifs.html", {
+    url: TARIFS_URL,
+    storage: pastPickup(storage),
+    whileRunning: chooseInOverlay("Trotzdem eintragen", seen),
+  });
+  t.after(page.close);
+
+  assert.equal(seen.title, "Datumsangaben prüfen");
+  assert.deepEqual(seen.choices, ["Trotzdem eintragen", "Nicht eintragen"]);
+  assert.equal(page.value("#from"), "28/11/2026");
+  assert.equal(page.value("#to"), "18/12/2026");
+  assert.equal(page.toast(), "Formular ausgefüllt.");
+});
+
+test("Fill leaves suspicious dates to the status panel when they are declined", async (t) => {
+  const { storage } = await copyReservation();
+  const page = await runBookmarklet("Fill Bookmarklet", "tarifs.html", {
+    url: TARIFS_URL,
+    storage: pastPickup(storage),
+    whileRunning: chooseInOverlay("Nicht eintragen"),
+  });
+  t.after(page.close);
+
+  assert.equal(page.value("#from"), "");
+  assert.deepEqual(page.panel()[2], ["Abholdatum", "fehlgeschlagen"]);
+  assert.deepEqual(page.panel()[3], ["Rückgabedatum", "fehlgeschlagen"]);
+});
+
+test("Fill compares the tariffs of the search with the reservation", async (t) => {
+  const { storage } = await copyReservation();
+  const page = await runBookmarklet("Fill Bookmarklet", "tarifs.html", {
+    url: TARIFS_URL,
+    storage: { ...storage, bspAutoCompareTariffs: "always" },
+    beforeParse: serveSubmittedForm("tarifs-results.html"),
+  });
+  t.after(page.close);
+
+  const overlay = page.document.querySelector("#bsp-auto-overlay");
+  const rows = Array.from(overlay.querySelectorAll("tr")).slice(1).map((row) =>
+    Array.from(row.cells, (cell) => cell.textContent)
+  );
+  assert.equal(overlay.querySelector("strong").textContent, "Tarifvergleich (4 Angebote)");
+  assert.deepEqual(rows, [
+    ["Europcar", "Citadine - Peugeot 208 ou similaire (ECMR) (gleich)", "1099,00 EUR", "-135,50 EUR", "günstiger"],
+    ["Hertz", "Citadine - Renault Clio ou similaire (ECMR) (gleich)", "1240,00 EUR", "+5,50 EUR", "gleichwertig"],
+    ["Avis", "Economique - Fiat 500 ou similaire (EDMR) (ähnlich)", "1300,00 EUR", "+65,50 EUR", ""],
+    ["Sixt", "Compacte - VW Golf ou similaire (CDMR) (abweichend)", "980,00 EUR", "-254,50 EUR", ""],
+  ]);
+  assert.equal(page.toast(), "2 günstigere oder gleichwertige Angebote gefunden.");
+  assert.equal(page.document.querySelector("iframe"), null);
+});
+
+test("Fill treats a capture without timestamp as expired", async (t) => {
+  const { storage } = await copyReservation();
+  const legacy = JSON.parse(storage.bspAutoBookingData);
+  delete legacy.schemaVersion;
+  delete legacy.capturedAt;
+  delete legacy.source;
+  const page = await runBookmarklet("Fill Bookmarklet", "tarifs.html", {
+    url: TARIFS_URL,
+    storage: { bspAutoBookingData: JSON.stringify(legacy) },
+  });
+  t.after(page.close);
+
+  assert.equal(page.value("#recherche-start"), "");
+  assert.equal(page.toast(), "Keine Daten.");
+  assert.deepEqual(page.storage(), {});
+});
+
+test("Fill deletes an expired capture instead of using it", async (t) => {
+  const { storage } = await copyReservation();
+  const page = await runBookmarklet("Fill Bookmarklet", "tarifs.html", {
+    url: TARIFS_URL,
+    storage,
+    now: Date.UTC(2026, 11, 3, 9, 0),
+  });
+  t.after(page.close);
+
+  assert.equal(page.value("#recherche-start"), "");
+  assert.equal(page.toast(), "Keine Daten.");
+  assert.deepEqual(page.storage(), {});
+});
+
+test("Fill honours a shorter lifetime set for captures", async (t) => {
+  const { storage } = await copyReservation();
+  const page = await runBookmarklet("Fill Bookmarklet", "tarifs.html", {
+    url: TARIFS_URL,
+    storage: { ...storage, bspAutoBookingTtlHours: "2" },
+    now: TEST_NOW + 3 * 60 * 60 * 1000,
+  });
+  t.after(page.close);
+
+  assert.equal(page.toast(), "Keine Daten.");
+  assert.deepEqual(page.storage(), { bspAutoBookingTtlHours: "2" });
+});
+
+test("Fill reports missing data", async (t) => {
+  const page = await runBookmarklet("Fill Bookmarklet", "tarifs.html", { url: TARIFS_URL });
+  t.after(page.close);
+
+  assert.equal(page.toast(), "Keine Daten.");
+});
@@ -0,0 +1,240 @@
+// Runs the bookmarklets exactly as build.js emits them against the saved pages in
+// test/fixtures, using jsdom as the browser.
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { JSDOM, ResourceLoader } = require("jsdom");
+
+const ROOT = path.join(__dirname, "..");
+const FIXTURES = path.join(__dirname, "fixtures");
+
+// The fixtures' reservation runs 14–18 December 2026; the clock is set shortly before,
+// so no date warnings appear and captures do not expire.
+const TEST_NOW = Date.UTC(2026, 11, 1, 9, 0);
+
+const BSP_ORIGIN = "https://www.bsp-auto.com";
+
+// Where the test build pretends the page is published; the update check asks for
+// versions.json there, which tests answer with a stubbed window.fetch.
+const PAGES_URL = "https://bsp-tools.example/";
+
+let bookmarklets = null;
+let manifest = null;
+
+// Pages load scripts by root-relative path ("/node_modules/jquery/dist/jquery.js"); they
+// come from the repository, whatever origin the page pretends to be on.
+class LocalResourceLoader extends ResourceLoader {
+  fetch(url) {
+    const file = path.join(ROOT, decodeURIComponent(new URL(url).pathname));
+    if (!file.startsWith(ROOT + path.sep)) return null;
+    return fs.promises.readFile(file);
+  }
+}
+
+// Builds once per test file into a temp dir, so dist/index.html stays untouched.
+// The dist/versions.json of that build is kept for builtManifest().
+function loadBookmarklets() {
+  if (bookmarklets) return bookmarklets;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bsp-auto-test-"));
+  try {
+    const out = path.join(dir, "index.html");
+    execFileSync(process.execPath, [path.join(ROOT, "build.js"), "--out", out], {
+      stdio: "pipe",
+      env: { ...process.env, PAGES_URL },
+    });
+    const html = fs.readFileSync(out, "utf8");
+    manifest = JSON.parse(fs.readFileSync(path.join(dir, "versions.json"), "utf8"));
+    bookmarklets = {};
+    for (const match of html.matchAll(/<article class="card" data-id="([^"]+)"[\s\S]*?href="(javascript:[^"]*)"/g)) {
+      bookmarklets[match[1]] = match[2];
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  return bookmarklets;
+}
+
+// Moves the page's clock to `now` while it keeps ticking, so timeouts still expire.
+function shiftClock(window, now) {
+  const RealDate = window.Date;
+  const offset = now - RealDate.now();
+  window.Date = class extends RealDate {
+    constructor(...args) {
+      super(...(args.length ? args : [RealDate.now() + offset]));
+    }
+
+    static now() {
+      return RealDate.now() + offset;
+    }
+  };
+}
+
+function sleep(window, ms) {
+  return new Promise((resolve) => window.setTimeout(resolve, ms));
+}
+
+// Loads `fixture` at `url`, runs the bookmarklet named `name` (its card title on the
+// page) and resolves once the bookmarklet's own promise has settled.
+// `storage` pre-fills localStorage, `clipboard` the text navigator.clipboard returns,
+// `beforeParse(window)` runs before the page's own scripts, `whileRunning(window)` right
+// after the bookmarklet started, e.g. to answer an overlay.
+async function runBookmarklet(
+  name,
+  fixture,
+  { url, storage = {}, clipboard = null, now = TEST_NOW, beforeParse = null, whileRunning = null } = {}
+) {
+  const href = loadBookmarklets()[name];
+  if (!href) throw new Error(`Bookmarklet "${name}" is missing from the build`);
+
+  const dom = new JSDOM(fs.readFileSync(path.join(FIXTURES, fixture), "utf8"), {
+    url,
+    runScripts: "dangerously",
+    pretendToBeVisual: true,
+    resources: new LocalResourceLoader(),
+    beforeParse: (window) => {
+      if (beforeParse) beforeParse(window);
+    },
+  });
+  const { window } = dom;
+  if (window.document.readyState !== "complete") {
+    await new Promise((resolve) => window.addEventListener("load", resolve, { once: true }));
+  }
+
+  // jsdom does no layout; elements get a box unless they or an ancestor are display: none.
+  // jQuery's :visible and the bookmarklets' isVisible both rely on it.
+  const rendered = (element) => {
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+      if (window.getComputedStyle(node).display === "none") return false;
+    }
+    return true;
+  };
+  window.Element.prototype.getBoundingClientRect = function () {
+    const [width, height] = rendered(this) ? [100, 20] : [0, 0];
+    return { x: 0, y: 0, top: 0, left: 0, right: width, bottom: height, width, height };
+  };
+  window.Element.prototype.getClientRects = function () {
+    return rendered(this) ? [this.getBoundingClientRect()] : [];
+  };
+  window.TextEncoder = TextEncoder;
+  window.TextDecoder = TextDecoder;
+  Object.defineProperty(window, "crypto", { value: globalThis.crypto, configurable: true });
+  shiftClock(window, now);
+
+  const opened = [];
+  window.open = (...args) => {
+    opened.push(args);
+    return null;
+  };
+  const clipboardState = { text: clipboard };
+  Object.defineProperty(window.navigator, "clipboard", {
+    configurable: true,
+    value: {
+      readText: async () => clipboardState.text,
+      writeText: async (text) => {
+        clipboardState.text = text;
+      },
+    },
+  });
+  Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+
+  const warnings = [];
+  window.console.warn = (...args) => warnings.push(args.join(" "));
+  window.console.info = () => {};
+  window.console.log = () => {};
+  window.console.table = () => {};
+  window.console.group = () => {};
+  window.console.groupEnd = () => {};
+
+  const run = window.eval(decodeURIComponent(href.slice("javascript:".length)));
+  if (whileRunning) await whileRunning(window);
+  await run;
+
+  const document = window.document;
+  return {
+    window,
+    document,
+    opened,
+    warnings,
+    clipboard: () => clipboardState.text,
+    // Every localStorage entry, ready to be passed on as `storage` to the next page.
+    storage: () =>
+      Object.fromEntries(Object.keys(window.localStorage).map((key) => [key, window.localStorage.getItem(key)])),
+    storedBooking: () => JSON.parse(window.localStorage.getItem("bspAutoBookingData")),
+    toast: () => {
+      const toast = document.querySelector("#bsp-auto-toast");
+      return toast ? toast.firstChild.textContent : null;
+    },
+    // [field label, status label] per row of the status panel, in panel order.
+    panel: () =>
+      Array.from(document.querySelectorAll("#bsp-auto-status-panel > div:last-child > div")).map((row) => [
+        row.querySelector("strong").textContent,
+        row.querySelector("span").textContent,
+      ]),
+    value: (selector) => document.querySelector(selector).value,
+    wait: (ms) => sleep(window, ms),
+    close: () => window.close(),
+  };
+}
+
+// Resolves with the bookmarklet's overlay once it is shown.
+async function waitForOverlay(window) {
+  for (let tries = 0; tries < 40; tries += 1) {
+    const overlay = window.document.querySelector("#bsp-auto-overlay");
+    if (overlay) return overlay;
+    await sleep(window, 50);
+  }
+  throw new Error("No overlay appeared");
+}
+
+// `whileRunning` answers: click the choice labelled `label` and record the title and the
+// offered labels in `seen`, or type `text` into a prompt and submit it.
+function chooseInOverlay(label, seen = {}) {
+  return async (window) => {
+    const overlay = await waitForOverlay(window);
+    const choices = Array.from(overlay.querySelectorAll("button")).filter((button) => !button.getAttribute("aria-label"));
+    seen.title = overlay.querySelector("strong").textContent;
+    seen.choices = choices.map((button) => button.firstChild.textContent);
+    const target = choices.find((button) => button.firstChild.textContent === label);
+    if (!target) throw new Error(`No choice "${label}" in ${JSON.stringify(seen.choices)}`);
+    target.click();
+  };
+}
+
+function enterInOverlay(text) {
+  return async (window) => {
+    const overlay = await waitForOverlay(window);
+    overlay.querySelector("input").value = text;
+    overlay.querySelector("form").dispatchEvent(new window.Event("submit", { cancelable: true }));
+  };
+}
+
+// `beforeParse` for the tariff comparison: jsdom does not navigate, so a submitted form
+// shows `fixture` in the frame it targets instead.
+function serveSubmittedForm(fixture) {
+  const html = fs.readFileSync(path.join(FIXTURES, fixture), "utf8");
+  return (window) => {
+    window.HTMLFormElement.prototype.submit = function () {
+      const frame = window.document.querySelector(`iframe[name="${this.target}"]`);
+      const page = new window.DOMParser().parseFromString(html, "text/html");
+      frame.contentDocument.body.innerHTML = page.body.innerHTML;
+      frame.dispatchEvent(new window.Event("load"));
+    };
+  };
+}
+
+function builtManifest() {
+  loadBookmarklets();
+  return JSON.parse(JSON.stringify(manifest));
+}
+
+module.exports = {
+  BSP_ORIGIN,
+  PAGES_URL,
+  TEST_NOW,
+  builtManifest,
+  chooseInOverlay,
+  enterInOverlay,
+  runBookmarklet,
+  serveSubmittedForm,
+};
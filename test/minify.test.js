@@ -0,0 +1,224 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const vm = require("vm");
+const { minifyJs, referencesIdentifier, declaresIdentifier } = require("../build.js");
+
+// Minifies `source`, which must end in an expression, and returns the minified code and
+// the value of that expression once run.
+const minifyAndRun = (source) => {
+  const code = minifyJs(source);
+  return { code, value: vm.runInNewContext(code) };
+};
+
+test("minifier renames shorthand properties but keeps the property name", () => {
+  const { code, value } = minifyAndRun(`
+    const makePoint = (horizontal, vertical) => ({ horizontal, vertical });
+    const point = makePoint(3, 4);
+    JSON.stringify(point);
+  `);
+
+  assert.equal(value, '{"horizontal":3,"vertical":4}');
+  assert.doesNotMatch(code, /makePoint/);
+});
+
+test("minifier keeps getter, setter and method names of objects and classes", () => {
+  const { code, value } = minifyAndRun(`
+    const counter = (count) => ({
+      get count() { return count; },
+      set count(next) { count = next; },
+      bump(step) { count += step; return this; },
+    });
+    class Box {
+      constructor(size) { this.size = size; }
+      get size2() { return this.size * this.size; }
+      static of(size) { return new Box(size); }
+      async *sizes(size) { yield size; }
+    }
+    const tally = counter(1).bump(2);
+    tally.count = tally.count + 10;
+    [tally.count, Box.of(3).size2, typeof Box.prototype.sizes, Object.keys(counter(0)).join()];
+  `);
+
+  assert.deepEqual(Array.from(value), [13, 9, "function", "count,bump"]);
+  assert.match(code, /get count\(\)/);
+  assert.match(code, /set count\(/);
+  assert.match(code, /get size2\(\)/);
+});
+
+test("minifier keeps shadowed names apart", () => {
+  const { value } = minifyAndRun(`
+    const total = 1;
+    const sum = (values) => {
+      let total = 0;
+      values.forEach((value) => {
+        const total2 = value * 2;
+        total += total2;
+      });
+      return total;
+    };
+    const inner = () => {
+      const total = 100;
+      return total;
+    };
+    [sum([1, 2]), inner(), total];
+  `);
+
+  assert.deepEqual(Array.from(value), [6, 100, 1]);
+});
+
+test("minifier renames catch bindings consistently", () => {
+  const { code, value } = minifyAndRun(`
+    const attempt = (run) => {
+      try {
+        return run();
+      } catch (problem) {
+        return problem.message;
+      }
+    };
+    const parseFailure = (text) => {
+      try {
+        JSON.parse(text);
+        return null;
+      } catch (problem) {
+        const reason = problem instanceof SyntaxError ? "syntax" : "other";
+        return reason;
+      }
+    };
+    [attempt(() => { throw new Error("boom"); }), parseFailure("{")];
+  `);
+
+  assert.deepEqual(Array.from(value), ["boom", "syntax"]);
+  assert.doesNotMatch(code, /problem/);
+});
+
+test("minifier merges declarations without changing their order", () => {
+  const { code, value } = minifyAndRun(`
+    const first = 1;
+    const second = () => third + first;
+    let third = 10;
+    third += 1
+    const fourth = third * 2;
+    [second(), fourth];
+  `);
+
+  assert.deepEqual(Array.from(value), [12, 22]);
+  assert.doesNotMatch(code, /\bconst\b/);
+  assert.match(code, /^let \w=1,\w=\(?\)?=>/);
+});
+
+test("minifier keeps empty loop bodies and booleans used as keys or values", () => {
+  const { code, value } = minifyAndRun(`
+    const flags = { true: "yes", false: "no" };
+    const pick = (value) => (value ? true : false);
+    const countDown = (start) => {
+      let rest = start;
+      if (rest > 0) {
+        while (rest-- > 2);
+      }
+      return rest;
+    };
+    [flags[String(pick(1))], flags[String(pick(0))], countDown(5), true.toString()];
+  `);
+
+  assert.deepEqual(Array.from(value), ["yes", "no", 1, "true"]);
+  assert.match(code, /while\([^)]*\);\}/);
+  assert.match(code, /\b\w=>\(\w\?!0:!1\)/);
+});
+
+test("minifier reads repeated properties, globals and strings through aliases", () => {
+  const source = `
+    const entries = [{ textContent: "first" }, { textContent: "second" }, null];
+    const label = (entry) => entry?.textContent || "(keine Angabe)";
+    const shout = (entry) => label(entry).toUpperCase() + "(keine Angabe)".length;
+    const parse = (JSON) => JSON.textContent;
+    const maxima = [Math.max(1, 2), Math.max(3, 4), Math.max(5, 6), Math.max(7, 8), Math.max(9, 0)];
+    entries[0].textContent = entries[1].textContent + entries[0].textContent;
+    [
+      entries.map(label).join("|"),
+      shout(entries[1]),
+      "(keine Angabe)".length,
+      parse({ textContent: "local" }),
+      maxima.join(),
+      { Math }.Math === Math,
+      Object.keys({ "(keine Angabe)": 1 })[0],
+    ];
+  `;
+  const { code, value } = minifyAndRun(source);
+
+  assert.deepEqual(Array.from(value), [
+    "secondfirst|second|(keine Angabe)",
+    "SECOND14",
+    14,
+    "local",
+    "2,4,6,8,9",
+    true,
+    "(keine Angabe)",
+  ]);
+  assert.doesNotMatch(code, /\.textContent/);
+  assert.equal(code.match(/\(keine Angabe\)/g).length, 2);
+  assert.doesNotMatch(code, /Math\.max/);
+  assert.match(code, /\?\.\[\w+\]/);
+  assert.match(minifyJs(source, { alias: false }), /\?\.textContent/);
+});
+
+test("minifier drops braces around single statements and trailing commas", () => {
+  const { code, value } = minifyAndRun(`
+    const classify = (count) => {
+      if (count > 10) {
+        return "many";
+      } else if (count > 1) {
+        return "some";
+      } else {
+        return count ? "one" : "none";
+      }
+    };
+    const sum = (values) => {
+      let total = 0;
+      for (const value of values) {
+        total += value;
+      }
+      return total;
+    };
+    const nested = (outer, inner) => {
+      if (outer) {
+        if (inner) return "both";
+      } else {
+        return "neither";
+      }
+      return "outer";
+    };
+    const twice = (x) => {
+      return x * 2;
+    };
+    const point = (x) => {
+      return { x, };
+    };
+    const pair = (x) => {
+      return x, [x, x,];
+    };
+    [classify(20), classify(2), classify(1), classify(0), sum([1, 2, 3,]), nested(true, false),
+      nested(false, true), twice(3), point(1).x, pair(2).length];
+  `);
+
+  assert.deepEqual(Array.from(value), ["many", "some", "one", "none", 6, "outer", "neither", 6, 1, 2]);
+  assert.match(code, /=\w=>\w\*2,/);
+  assert.match(code, /if\(\w>10\)return'many';else if/);
+  assert.match(code, /=>\{return\{/);
+  assert.match(code, /=>\{return \w,/);
+  assert.doesNotMatch(code, /,[\]})]/);
+});
+
+test("library lookup ignores names in strings, comments and property accesses", () => {
+  const code = `
+    // showToast is not called here
+    const label = "showToast";
+    const message = \`\${formatPrice(total)} showToast\`;
+    page.showToast(label, message);
+    function* walkFields() {}
+  `;
+
+  assert.equal(referencesIdentifier(code, "showToast"), false);
+  assert.equal(referencesIdentifier(code, "formatPrice"), true);
+  assert.equal(declaresIdentifier(code, "walkFields"), true);
+  assert.equal(declaresIdentifier(code, "formatPrice"), false);
+});
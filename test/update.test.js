@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { BSP_ORIGIN, PAGES_URL, builtManifest, runBookmarklet } = require("./harness");
+
+const RESA_URL = `${BSP_ORIGIN}/auto_2175bsp/resa.asp`;
+
+// Runs Copy with window.fetch answering every request through `respond(url, options)`.
+const copyWithManifest = async (respond) => {
+  const requests = [];
+  const page = await runBookmarklet("Copy Bookmarklet", "reservation.html", {
+    url: RESA_URL,
+    beforeParse: (window) => {
+      window.fetch = (url, options) => {
+        requests.push(url);
+        return respond(url, options);
+      };
+    },
+  });
+  return { page, requests };
+};
+
+const answer = (manifest) => async () => ({ ok: true, json: async () => manifest });
+
+const notice = (page) => page.document.querySelector("#bsp-auto-update");
+
+test("Copy asks to re-drag the bookmark when the published build is newer", async (t) => {
+  const manifest = builtManifest();
+  const published = manifest.bookmarklets.bspAutoCopyBookmarklet;
+  published.hash = "0123456789ab";
+  published.version = "1.1.0";
+  published.builtAt = new Date(Date.parse(published.builtAt) + 86400000).toISOString();
+  const { page, requests } = await copyWithManifest(answer(manifest));
+  t.after(page.close);
+  await page.wait(50);
+
+  assert.deepEqual(requests, [`${PAGES_URL}versions.json`]);
+  assert.match(notice(page).textContent, /^Neue Version von „Copy - BSP Resa“ \(1\.0\.0 → 1\.1\.0\)/);
+  assert.equal(notice(page).querySelector("a").href, PAGES_URL);
+  assert.equal(page.storedBooking().source.reservationId, "BSP-778812");
+});
+
+test("Copy stays quiet when it is the published build", async (t) => {
+  const { page, requests } = await copyWithManifest(answer(builtManifest()));
+  t.after(page.close);
+  await page.wait(50);
+
+  assert.equal(requests.length, 1);
+  assert.equal(notice(page), null);
+});
+
+test("Copy gives up on an unreachable manifest and still copies", async (t) => {
+  const { page } = await copyWithManifest(
+    (url, { signal }) =>
+      new Promise((resolve, reject) => signal.addEventListener("abort", () => reject(new Error("aborted"))))
+  );
+  t.after(page.close);
+  await page.wait(1600);
+
+  assert.equal(notice(page), null);
+  assert.equal(page.toast(), "BSP data copied");
+});